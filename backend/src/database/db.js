@@ -1,5 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
-const { DATABASE_URL } = require('../config');
+const { DATABASE_URL, PAYLOAD_SIGNATURE_VERSION, NODE_ID, NODE_KEY, NODE_KEY_FILE } = require('../config');
 const logger = require('../utils/logger');
 
 class DatabaseManager {
@@ -100,7 +102,7 @@ async function createSchema() {
 				previous_hash VARCHAR(64),
 				block_hash VARCHAR(64) UNIQUE NOT NULL,
 				nonce BIGINT NOT NULL,
-				difficulty INTEGER NOT NULL CHECK (difficulty >= 1 AND difficulty <= 10),
+				difficulty INTEGER NOT NULL, -- Vedi vincolo valid_difficulty
 				
 				-- Dati crittografati
 				encrypted_data BYTEA NOT NULL,
@@ -130,16 +132,24 @@ async function createSchema() {
             CREATE OR REPLACE FUNCTION prevent_blockchain_tampering()
             RETURNS trigger AS $$
             BEGIN
-                -- permette UPDATE SOLO sul campo 'verified'
+                -- permette UPDATE SOLO dello stato di verifica (status, verified, verified_at)
                 IF TG_OP = 'UPDATE' THEN
-                    IF (OLD.verified IS DISTINCT FROM NEW.verified) THEN
-                        -- Permette l'aggiornamento solo se solo 'verified' cambia
+                    IF (to_jsonb(NEW) - 'status' - 'verified' - 'verified_at') = (to_jsonb(OLD) - 'status' - 'verified' - 'verified_at') THEN
+                        -- 'superseded' è riservato ai blocchi spostati in blockchain.side_blocks da una riorganizzazione
+                        IF NEW.status = 'superseded' THEN
+                            RAISE EXCEPTION 'block_chain: status "superseded" is only valid for side-chain blocks.';
+                        END IF;
                         RETURN NEW;
                     ELSE
                         -- Proibisce qualsiasi altro UPDATE sui dati del blocco (hash, nonce, dati, ecc.)
-                        RAISE EXCEPTION 'block_chain is append-only: UPDATE prohibited, except for "verified" status.';
+                        RAISE EXCEPTION 'block_chain is append-only: UPDATE prohibited, except for verification status.';
                     END IF;
                 ELSIF TG_OP = 'DELETE' THEN
+                    -- Permette DELETE solo a blockchain.demote_blocks_after (SECURITY DEFINER, di proprietà del ruolo
+                    -- blockchain_reorg), che sposta i blocchi in blockchain.side_blocks durante una riorganizzazione
+                    IF current_user = 'blockchain_reorg' THEN
+                        RETURN OLD;
+                    END IF;
                     -- Proibisce DELETE
                     RAISE EXCEPTION 'block_chain is append-only: DELETE prohibited.';
                 END IF;
@@ -171,14 +181,328 @@ async function createSchema() {
 			);
 		`);
 
+		// Audit completi della catena: report firmato con la chiave Ed25519 del nodo.
+		// report è il JSON esattamente come firmato (testo, non JSONB, per poter verificare la firma)
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS audit.chain_audits (
+				audit_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+				trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('manual', 'scheduled')),
+				status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+				started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+				completed_at TIMESTAMPTZ,
+				blocks_checked BIGINT NOT NULL DEFAULT 0,
+				chain_height BIGINT,
+				first_broken_height BIGINT,
+				error TEXT,
+				node_id UUID,
+				node_public_key TEXT,
+				report TEXT,
+				signature TEXT
+			);
+		`);
+
+		// Esito di ogni controllo eseguito dal verifier su un blocco (un run_id per ogni verifica).
+		// Indicizzata per block_hash: i risultati restano validi anche se il blocco esce dalla catena principale
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS blockchain.block_verifications (
+				verification_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+				run_id UUID NOT NULL,
+				block_hash VARCHAR(64) NOT NULL,
+				block_number BIGINT NOT NULL,
+				source VARCHAR(20) NOT NULL CHECK (source IN ('pending', 'audit')),
+				check_name VARCHAR(30) NOT NULL,
+				passed BOOLEAN NOT NULL,
+				detail TEXT,
+				verifier_node_id UUID,
+				verified_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+			);
+		`);
+
+		// Attestazioni firmate (Ed25519) con cui un nodo dichiara di aver verificato un blocco come valido.
+		// Ricevute via P2P dai nodi noti; una per chiave di nodo e blocco, indipendentemente dal node id dichiarato
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS blockchain.block_attestations (
+				block_hash VARCHAR(64) NOT NULL,
+				node_public_key TEXT NOT NULL,
+				node_id UUID NOT NULL,
+				attested_at TIMESTAMPTZ NOT NULL,
+				signature TEXT NOT NULL,
+				received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+				PRIMARY KEY (block_hash, node_public_key)
+			);
+		`);
+
+		// Blocchi validi che non fanno parte della catena principale: rami concorrenti ricevuti dai peer
+		// e blocchi spostati fuori dalla catena principale da una riorganizzazione (nessun blocco viene cancellato)
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS blockchain.side_blocks (
+				block_id UUID PRIMARY KEY,
+				block_number BIGINT NOT NULL CHECK (block_number >= 1),
+				creator_id UUID REFERENCES blockchain.creators(creator_id) ON DELETE SET NULL,
+				previous_hash VARCHAR(64),
+				block_hash VARCHAR(64) UNIQUE NOT NULL,
+				nonce BIGINT NOT NULL,
+				difficulty INTEGER NOT NULL,
+				encrypted_data BYTEA NOT NULL,
+				data_iv BYTEA NOT NULL,
+				encrypted_data_key BYTEA NOT NULL,
+				data_size INTEGER NOT NULL,
+				signature BYTEA NOT NULL,
+				created_at TIMESTAMPTZ NOT NULL,
+				verified BOOLEAN DEFAULT FALSE,
+				verified_at TIMESTAMPTZ,
+				mining_duration_ms INTEGER,
+				origin_node_id UUID,
+				stored_at TIMESTAMPTZ DEFAULT NOW(),
+				demoted_at TIMESTAMPTZ -- Valorizzato se il blocco apparteneva alla catena principale
+			);
+		`);
+
+		// Identità del nodo e tabella dei peer P2P (sopravvivono al riavvio dei container)
+		await client.query('CREATE SCHEMA IF NOT EXISTS p2p;');
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS p2p.node_identity (
+				node_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+				created_at TIMESTAMPTZ DEFAULT NOW()
+			);
+		`);
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS p2p.peers (
+				address VARCHAR(255) PRIMARY KEY,
+				node_id UUID,
+				source VARCHAR(20) NOT NULL DEFAULT 'config' CHECK (source IN ('config', 'exchange', 'inbound')),
+				failures INTEGER NOT NULL DEFAULT 0,
+				last_seen_at TIMESTAMPTZ,
+				last_attempt_at TIMESTAMPTZ,
+				created_at TIMESTAMPTZ DEFAULT NOW()
+			);
+		`);
+
+		// Chiave pubblica Ed25519 del nodo (la privata è in un file o in env, vedi nodeIdentity), chiavi dei peer (pinning)
+		// e nodo di origine dei blocchi
+		await client.query('ALTER TABLE p2p.node_identity ADD COLUMN IF NOT EXISTS public_key TEXT;');
+		await client.query('ALTER TABLE p2p.peers ADD COLUMN IF NOT EXISTS public_key TEXT;');
+		await client.query('ALTER TABLE blockchain.blocks ADD COLUMN IF NOT EXISTS origin_node_id UUID;');
+		await migrateLegacyNodeKey(client);
+
+		// Versione dell'header del blocco: i blocchi esistenti restano alla versione 1 (formato storico)
+		await client.query('ALTER TABLE blockchain.blocks ADD COLUMN IF NOT EXISTS version SMALLINT NOT NULL DEFAULT 1;');
+		await client.query('ALTER TABLE blockchain.side_blocks ADD COLUMN IF NOT EXISTS version SMALLINT NOT NULL DEFAULT 1;');
+
+		// Dalla versione 3 il payload è suddiviso in record (blockchain.block_records) e l'header impegna
+		// la loro Merkle root: le colonne del payload restano valorizzate solo per i blocchi precedenti
+		for (const table of ['blocks', 'side_blocks']) {
+			await client.query(`ALTER TABLE blockchain.${table} ADD COLUMN IF NOT EXISTS merkle_root VARCHAR(64);`);
+			await client.query(`ALTER TABLE blockchain.${table} ADD COLUMN IF NOT EXISTS record_count INTEGER NOT NULL DEFAULT 1;`);
+			await client.query(`ALTER TABLE blockchain.${table} ALTER COLUMN encrypted_data DROP NOT NULL;`);
+			await client.query(`ALTER TABLE blockchain.${table} ALTER COLUMN data_iv DROP NOT NULL;`);
+			await client.query(`ALTER TABLE blockchain.${table} ALTER COLUMN encrypted_data_key DROP NOT NULL;`);
+		}
+
+		// Dalla versione 4 la difficoltà è in bit a zero iniziali dell'hash (1-256); fino alla 3 in cifre esadecimali (1-10)
+		await client.query('ALTER TABLE blockchain.blocks DROP CONSTRAINT IF EXISTS blocks_difficulty_check;');
+		for (const table of ['blocks', 'side_blocks']) {
+			await client.query(`
+				DO $$ BEGIN
+					ALTER TABLE blockchain.${table} ADD CONSTRAINT valid_difficulty CHECK (
+						(version >= 4 AND difficulty BETWEEN 1 AND 256) OR (version < 4 AND difficulty BETWEEN 1 AND 10)
+					);
+				EXCEPTION WHEN duplicate_object THEN NULL;
+				END $$;
+			`);
+		}
+
+		// Hash calcolati dal client per trovare il nonce (dichiarati dal miner, non verificabili): con mining_duration_ms
+		// danno l'hash rate dei miner
+		for (const table of ['blocks', 'side_blocks']) {
+			await client.query(`ALTER TABLE blockchain.${table} ADD COLUMN IF NOT EXISTS mining_attempts BIGINT CHECK (mining_attempts > 0);`);
+		}
+
+		// Stato di verifica del blocco: 'pending' (non ancora verificato), 'valid', 'invalid' (verifica fallita),
+		// 'superseded' (spostato in blockchain.side_blocks da una riorganizzazione).
+		// La colonna 'verified' resta per compatibilità e vale status = 'valid'.
+		await client.query(`
+			DO $$ BEGIN
+				CREATE TYPE blockchain.block_status AS ENUM ('pending', 'valid', 'invalid', 'superseded');
+			EXCEPTION WHEN duplicate_object THEN NULL;
+			END $$;
+		`);
+		// Conversione una tantum dal solo flag 'verified', solo quando la colonna viene aggiunta: verified_at valorizzato
+		// indica un blocco già verificato, demoted_at un blocco uscito dalla catena principale
+		const statusBackfill = {
+			blocks: `UPDATE blockchain.blocks
+				SET status = CASE WHEN verified THEN 'valid' ELSE 'invalid' END::blockchain.block_status
+				WHERE verified_at IS NOT NULL;`,
+			side_blocks: `UPDATE blockchain.side_blocks SET status = 'superseded' WHERE demoted_at IS NOT NULL;`,
+		};
+		for (const table of ['blocks', 'side_blocks']) {
+			const { rowCount: hasStatus } = await client.query(
+				`SELECT 1 FROM information_schema.columns WHERE table_schema = 'blockchain' AND table_name = $1 AND column_name = 'status';`,
+				[table]
+			);
+			if (hasStatus > 0) continue;
+			// Colonna e conversione nella stessa transazione: un avvio interrotto non lascia la conversione a metà
+			await client.query('BEGIN');
+			try {
+				await client.query(`ALTER TABLE blockchain.${table} ADD COLUMN status blockchain.block_status NOT NULL DEFAULT 'pending';`);
+				await client.query(statusBackfill[table]);
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			}
+		}
+
+		// Riorganizzazione: unico modo di togliere blocchi dalla catena principale. La funzione gira come blockchain_reorg
+		// (ruolo senza login, l'unico a cui il trigger prevent_blockchain_tampering consente il DELETE) e sposta i blocchi
+		// successivi all'antenato comune in blockchain.side_blocks. Colonne come BLOCK_COLUMNS in services/blockchain.js
+		await client.query(`
+			DO $$ BEGIN
+				IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'blockchain_reorg') THEN
+					CREATE ROLE blockchain_reorg NOLOGIN;
+				END IF;
+			END $$;
+		`);
+		await client.query('GRANT USAGE ON SCHEMA blockchain TO blockchain_reorg;');
+		await client.query('GRANT SELECT, DELETE ON blockchain.blocks TO blockchain_reorg;');
+		await client.query('GRANT SELECT, INSERT ON blockchain.side_blocks TO blockchain_reorg;');
+		await client.query(`
+			CREATE OR REPLACE FUNCTION blockchain.demote_blocks_after(ancestor_number BIGINT)
+			RETURNS INTEGER
+			LANGUAGE plpgsql SECURITY DEFINER SET search_path = pg_catalog, pg_temp
+			AS $$
+			DECLARE
+				demoted INTEGER;
+			BEGIN
+				INSERT INTO blockchain.side_blocks (
+					block_id, block_number, creator_id, previous_hash, block_hash, nonce, difficulty, encrypted_data, data_iv,
+					encrypted_data_key, data_size, signature, created_at, mining_duration_ms, origin_node_id, version,
+					merkle_root, record_count, mining_attempts, verified, verified_at, demoted_at, status
+				)
+				SELECT
+					block_id, block_number, creator_id, previous_hash, block_hash, nonce, difficulty, encrypted_data, data_iv,
+					encrypted_data_key, data_size, signature, created_at, mining_duration_ms, origin_node_id, version,
+					merkle_root, record_count, mining_attempts, verified, verified_at, NOW(), 'superseded'
+				FROM blockchain.blocks WHERE block_number > ancestor_number
+				ON CONFLICT (block_hash) DO NOTHING;
+				DELETE FROM blockchain.blocks WHERE block_number > ancestor_number;
+				GET DIAGNOSTICS demoted = ROW_COUNT;
+				RETURN demoted;
+			END;
+			$$;
+		`);
+		await client.query('ALTER FUNCTION blockchain.demote_blocks_after(BIGINT) OWNER TO blockchain_reorg;');
+		await client.query('REVOKE ALL ON FUNCTION blockchain.demote_blocks_after(BIGINT) FROM PUBLIC;');
+		await client.query('GRANT EXECUTE ON FUNCTION blockchain.demote_blocks_after(BIGINT) TO CURRENT_USER;');
+
+		// Gli eventi restano legati al blocco per hash anche quando una riorganizzazione lo sposta in
+		// blockchain.side_blocks (block_id viene azzerato dalla foreign key). Gli eventi esistenti vengono
+		// completati una sola volta, quando la colonna viene aggiunta
+		const { rowCount: hasEventBlockHash } = await client.query(
+			`SELECT 1 FROM information_schema.columns WHERE table_schema = 'audit' AND table_name = 'events' AND column_name = 'block_hash';`
+		);
+		if (hasEventBlockHash === 0) {
+			await client.query('BEGIN');
+			try {
+				await client.query('ALTER TABLE audit.events ADD COLUMN block_hash VARCHAR(64);');
+				await client.query(`
+					UPDATE audit.events e SET block_hash = b.block_hash
+					FROM blockchain.blocks b WHERE e.block_id = b.block_id;
+				`);
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			}
+		}
+
+		// Record cifrati dei blocchi versione 3, legati per hash così da seguire il blocco tra catena principale e rami laterali
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS blockchain.block_records (
+				record_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+				block_hash VARCHAR(64) NOT NULL,
+				record_index INTEGER NOT NULL CHECK (record_index >= 0),
+				record_hash VARCHAR(64) NOT NULL, -- Foglia del Merkle tree
+				encrypted_data BYTEA NOT NULL,
+				data_iv BYTEA NOT NULL,
+				encrypted_data_key BYTEA NOT NULL,
+				data_size INTEGER NOT NULL CHECK (data_size > 0),
+				created_at TIMESTAMPTZ DEFAULT NOW(),
+				UNIQUE (block_hash, record_index)
+			);
+		`);
+
+		// I record sono immutabili come i blocchi
+		await client.query(`
+			CREATE OR REPLACE FUNCTION prevent_record_tampering()
+			RETURNS trigger AS $$
+			BEGIN
+				RAISE EXCEPTION 'block_records is append-only: % prohibited.', TG_OP;
+			END;
+			$$ LANGUAGE plpgsql;
+		`);
+		await client.query('DROP TRIGGER IF EXISTS block_records_protect ON blockchain.block_records;');
+		await client.query(`
+			CREATE TRIGGER block_records_protect
+			BEFORE UPDATE OR DELETE ON blockchain.block_records
+			FOR EACH ROW
+			EXECUTE FUNCTION prevent_record_tampering();
+		`);
+
+		// Job di mining delegato (vedi MiningJobs). I record cifrati (in hex, come ricevuti dalle API) servono
+		// solo finché il job è in coda o in mining: alla conclusione vengono rimossi
+		await client.query(`
+			DO $$ BEGIN
+				CREATE TYPE blockchain.mining_job_status AS ENUM ('queued', 'mining', 'committed', 'failed', 'cancelled');
+			EXCEPTION WHEN duplicate_object THEN NULL;
+			END $$;
+		`);
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS blockchain.mining_jobs (
+				job_id UUID PRIMARY KEY,
+				status blockchain.mining_job_status NOT NULL DEFAULT 'queued',
+				creator_id UUID NOT NULL REFERENCES blockchain.creators(creator_id),
+				version SMALLINT NOT NULL,
+				merkle_root VARCHAR(64) NOT NULL,
+				records JSONB,
+				record_count INTEGER NOT NULL CHECK (record_count > 0),
+				data_size INTEGER NOT NULL CHECK (data_size > 0),
+				signature BYTEA NOT NULL,
+				retries INTEGER NOT NULL DEFAULT 0,
+				block_id UUID, -- Blocco aggiunto alla catena (status = 'committed')
+				block_hash VARCHAR(64),
+				block_number BIGINT,
+				nonce BIGINT,
+				difficulty INTEGER,
+				mining_duration_ms INTEGER,
+				mining_attempts BIGINT,
+				error TEXT,
+				created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+				started_at TIMESTAMPTZ,
+				finished_at TIMESTAMPTZ
+			);
+		`);
+
 		// Indici per performance
 		await client.query('CREATE INDEX IF NOT EXISTS idx_blocks_created_at ON blockchain.blocks(created_at DESC);');
 		await client.query('CREATE INDEX IF NOT EXISTS idx_blocks_creator_id ON blockchain.blocks(creator_id);');
 		await client.query('CREATE INDEX IF NOT EXISTS idx_blocks_previous_hash ON blockchain.blocks(previous_hash);');
-		await client.query('CREATE INDEX IF NOT EXISTS idx_blocks_unverified ON blockchain.blocks(verified) WHERE verified = FALSE;');
+		// Il verifier seleziona i blocchi per status (vedi BlockchainValidator.verifyPendingBlocks), non più per verified
+		await client.query('DROP INDEX IF EXISTS blockchain.idx_blocks_unverified;');
+		await client.query(`CREATE INDEX IF NOT EXISTS idx_blocks_pending ON blockchain.blocks(created_at) WHERE status = 'pending';`);
+		await client.query('CREATE INDEX IF NOT EXISTS idx_side_blocks_previous_hash ON blockchain.side_blocks(previous_hash);');
 		await client.query('CREATE INDEX IF NOT EXISTS idx_creators_display_name ON blockchain.creators(display_name);');
 		await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_type ON audit.events(event_type);');
 		await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_creator_id ON audit.events(creator_id);');
+		await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_block_hash ON audit.events(block_hash);');
+		await client.query('CREATE INDEX IF NOT EXISTS idx_blocks_status ON blockchain.blocks(status);');
+		// Dalla versione 5 la firma copre solo il payload: una Merkle root per catena principale (vedi checkUniquePayload)
+		await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_blocks_unique_payload ON blockchain.blocks(merkle_root) WHERE version >= ${PAYLOAD_SIGNATURE_VERSION};`);
+		await client.query(`CREATE INDEX IF NOT EXISTS idx_mining_jobs_active ON blockchain.mining_jobs(creator_id, created_at) WHERE status IN ('queued', 'mining');`);
+		// Un payload può essere in coda o in mining in un solo job (vedi MiningJobs.submit)
+		await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_mining_jobs_active_payload ON blockchain.mining_jobs(merkle_root) WHERE status IN ('queued', 'mining');`);
+		await client.query('CREATE INDEX IF NOT EXISTS idx_chain_audits_started_at ON audit.chain_audits(started_at DESC);');
+		await client.query('CREATE INDEX IF NOT EXISTS idx_block_verifications_block_hash ON blockchain.block_verifications(block_hash, verified_at DESC);');
 		
 		// Funzione hash in DB (di riferimento, ma l'hash deve essere calcolato nel nodo per il PoW)
 		await client.query(`
@@ -218,6 +542,45 @@ async function createSchema() {
 	}
 }
 
+// Le versioni precedenti salvavano la chiave privata del nodo in p2p.node_identity.private_key_pem. La chiave
+// dell'identità in uso (NODE_ID o la prima creata) viene scritta in NODE_KEY_FILE, se il file non esiste e NODE_KEY
+// non la contiene già; solo allora la colonna viene eliminata. Altrimenti resta, per non perdere la chiave
+async function migrateLegacyNodeKey(client) {
+	const { rowCount: hasLegacyKey } = await client.query(
+		`SELECT 1 FROM information_schema.columns WHERE table_schema = 'p2p' AND table_name = 'node_identity' AND column_name = 'private_key_pem';`
+	);
+	if (hasLegacyKey === 0) return;
+
+	const { rows } = await client.query(
+		`SELECT private_key_pem FROM p2p.node_identity
+		WHERE private_key_pem IS NOT NULL AND ($1::uuid IS NULL OR node_id = $1)
+		ORDER BY created_at ASC LIMIT 1;`,
+		[NODE_ID]
+	);
+	const legacyKeyPem = rows[0]?.private_key_pem;
+	let exportedTo = null;
+	if (legacyKeyPem) {
+		const sameKey = (pem) => pem.trim() === legacyKeyPem.trim();
+		if (NODE_KEY && sameKey(NODE_KEY)) {
+			exportedTo = 'NODE_KEY';
+		} else if (!fs.existsSync(NODE_KEY_FILE)) {
+			fs.mkdirSync(path.dirname(NODE_KEY_FILE), { recursive: true });
+			fs.writeFileSync(NODE_KEY_FILE, legacyKeyPem, { mode: 0o600, flag: 'wx' });
+			exportedTo = NODE_KEY_FILE;
+		} else if (sameKey(fs.readFileSync(NODE_KEY_FILE, 'utf8'))) {
+			exportedTo = NODE_KEY_FILE;
+		} else {
+			logger.warn(`Node private key stored in p2p.node_identity differs from NODE_KEY and ${NODE_KEY_FILE}: keeping the private_key_pem column`);
+			return;
+		}
+	}
+
+	await client.query('ALTER TABLE p2p.node_identity DROP COLUMN private_key_pem;');
+	logger.info(exportedTo
+		? `Moved node private key from the database to ${exportedTo} and dropped p2p.node_identity.private_key_pem`
+		: 'Dropped unused column p2p.node_identity.private_key_pem');
+}
+
 async function initDb() {
 	try {
 		await dbManager.connect();
@@ -4,17 +4,22 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { PORT, NODE_ENV, DIFFICULTY, MINING_TIMEOUT_MS } = require('./config');
+const { PORT, P2P_PORT, NODE_ENV, MINING_TIMEOUT_MS, MINER_CONCURRENCY } = require('./config');
 const { initDb, pool } = require('./database/db');
 
 // Servizi decentralizzati
 const P2pServer = require('./services/p2p');
 const Blockchain = require('./services/blockchain');
+const Mempool = require('./services/mempool');
+const MiningPool = require('./services/miningPool');
+const MiningJobs = require('./services/miningJobs');
 const { startVerifier } = require('./services/verifier'); 
 
 const creatorsRoutes = require('./routes/creators');
 const blocksRoutes = require('./routes/blocks');
+const miningRoutes = require('./routes/mining');
 const decryptRoutes = require('./routes/decrypt');
+const adminRoutes = require('./routes/admin');
 const logger = require('./utils/logger');
 const { globalErrorHandler } = require('./utils/errors');
 
@@ -22,6 +27,9 @@ const app = express();
 
 const blockchain = new Blockchain();
 const p2pServer = new P2pServer(blockchain);
+const mempool = new Mempool();
+const miningJobs = new MiningJobs({ blockchain, p2pServer, miningPool: new MiningPool(MINER_CONCURRENCY) });
+let verifier = null; // Avviato in main() dopo l'inizializzazione del DB
 
 // Middleware di sicurezza e performance
 app.use(helmet());
@@ -35,17 +43,23 @@ const miningLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 20, standardHead
 app.use(bodyParser.json({ limit: '2mb' }));
 app.use(cors({ origin: ['http://localhost', 'http://localhost:5173', 'http://nginx', 'http://node1'], credentials: true }));
 
-// Inietta le istanze di blockchain e p2pServer nella richiesta per le rotte
+// Inietta le istanze di blockchain, p2pServer, mempool, miningJobs e verifier nella richiesta per le rotte
 app.use((req, res, next) => {
   req.blockchain = blockchain;
   req.p2pServer = p2pServer;
+  req.mempool = mempool;
+  req.miningJobs = miningJobs;
+  req.verifier = verifier;
   next();
 });
 
 // API routes - Nginx inoltra a queste rotte (senza il prefisso /api)
 app.use('/creators', creatorsRoutes);
 app.use('/blocks', miningLimiter, blocksRoutes);
+app.post('/mining/jobs', miningLimiter); // Solo l'invio dei job: il client interroga lo stato finché il blocco non è minato
+app.use('/mining', miningRoutes);
 app.use('/decrypt', decryptRoutes);
+app.use('/admin', apiLimiter, adminRoutes);
 
 // Health Check
 app.get('/health', async (req, res) => {
@@ -69,17 +83,18 @@ app.use(globalErrorHandler);
 let server;
 async function main() {
     try {
-        logger.info(`Starting Blockchain Node (API Port: ${PORT}, P2P Port: ${process.env.P2P_PORT})...`); 
+        logger.info(`Starting Blockchain Node (API Port: ${PORT}, P2P Port: ${P2P_PORT})...`); 
         
         await initDb();
         logger.info('Database schema is ready.');
         
         await blockchain.loadChainFromDB();
+        await miningJobs.init(); // Riprende i job di mining delegato rimasti in coda
 
         // Avvia il servizio Verifier su tutti i nodi
-        const verifier = startVerifier(pool, { 
-            difficulty: DIFFICULTY, 
-            intervalMs: 60000 // Verifica ogni minuto
+        verifier = startVerifier(pool, { 
+            intervalMs: 60000, // Verifica ogni minuto
+            onAttestation: (attestation) => p2pServer.broadcastAttestations([attestation])
         });
 
         server = app.listen(PORT, '0.0.0.0', () => {
@@ -87,8 +102,8 @@ async function main() {
         });
 
         // CORREZIONE: p2pServer.listen() non richiede l'istanza del server
-        // Avvia il server P2P separato sulla sua porta (es. 6001)
-        p2pServer.listen();
+        // Avvia il server P2P separato sulla sua porta (es. 6001), carica identità e peer salvati
+        await p2pServer.listen();
         
     } catch (err) {
         logger.error('Failed to start node', { error: err.message, stack: err.stack }); 
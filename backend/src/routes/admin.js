@@ -0,0 +1,59 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { pool } = require('../database/db');
+const { ADMIN_API_KEY } = require('../config');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { asyncHandler, ValidationError, NotFoundError, AuthenticationError, AuthorizationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Tutte le rotte admin richiedono l'header X-Admin-Key uguale ad ADMIN_API_KEY
+router.use((req, res, next) => {
+    if (!ADMIN_API_KEY) {
+        return next(new AuthorizationError('Admin API is disabled (ADMIN_API_KEY not configured)'));
+    }
+    if (!CryptoUtils.timeSafeEqual(req.get('X-Admin-Key') || '', ADMIN_API_KEY)) {
+        return next(new AuthenticationError('Invalid admin key'));
+    }
+    next();
+});
+
+// POST /admin/audits - Avvia un audit completo della catena (in background)
+router.post('/audits', asyncHandler(async (req, res) => {
+    const audit = await req.verifier.startChainAudit('manual');
+    res.status(202).json({
+        message: 'Chain audit started',
+        audit
+    });
+}));
+
+// GET /admin/audits - Ultimi audit eseguiti (senza il report completo)
+router.get('/audits', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(`
+        SELECT audit_id, trigger, status, started_at, completed_at, blocks_checked,
+               chain_height, first_broken_height, error, node_id
+        FROM audit.chain_audits
+        ORDER BY started_at DESC
+        LIMIT 20
+    `);
+    res.json({ audits: rows });
+}));
+
+// GET /admin/audits/:audit_id - Audit con il report firmato
+// La firma (Ed25519, base64) è sul campo report così com'è: va verificata con node_public_key prima di interpretarlo
+router.get('/audits/:audit_id', [
+    param('audit_id').isUUID().withMessage('Invalid audit ID format')
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Invalid audit ID parameter', errors.array());
+    }
+
+    const { rows } = await pool.query('SELECT * FROM audit.chain_audits WHERE audit_id = $1', [req.params.audit_id]);
+    if (rows.length === 0) {
+        throw new NotFoundError('Chain audit not found');
+    }
+    res.json({ audit: rows[0] });
+}));
+
+module.exports = router;
@@ -2,35 +2,59 @@ const express = require('express');
 const crypto = require('crypto'); 
 const { body, validationResult, param } = require('express-validator');
 const { pool } = require('../database/db');
-const CryptoUtils = require('../utils/cryptoUtils');
-const { DIFFICULTY, MINING_TIMEOUT_MS, MAX_DATA_SIZE, GENESIS_HASH } = require('../config');
+const { MINING_TIMEOUT_MS, MAX_DATA_SIZE, GENESIS_HASH, BLOCK_VERSION, MAX_RECORDS_PER_BLOCK, BLOCK_STATUSES, FINALITY_QUORUM } = require('../config');
 const logger = require('../utils/logger');
-const { asyncHandler, MiningError, BlockchainError, NotFoundError, ValidationError } = require('../utils/errors');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { getRecordsWithProofs, decodeRecords } = require('../services/blockRecords');
+const { VERIFICATION_CHECKS } = require('../services/verifier');
+const { getBlockAttestations, isFinalized } = require('../services/attestations');
+const { asyncHandler, MiningError, BlockchainError, NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Validazione per la preparazione del mining
-const validatePrepareMining = [
+// Validazione per la richiesta di un template di blocco
+const validateBlockTemplate = [
     body('display_name').isLength({ min: 3, max: 255 }).withMessage('Display name must be between 3 and 255 characters'),
-    body('data_text').isLength({ min: 1, max: MAX_DATA_SIZE }).withMessage(`Data text must be between 1 and ${MAX_DATA_SIZE} bytes`),
+    body('data_text').optional().isLength({ min: 1, max: MAX_DATA_SIZE }).withMessage(`Data text must be between 1 and ${MAX_DATA_SIZE} bytes`),
 ];
 
 // Validazione per il commit del blocco (ricevuto dal frontend)
 const validateCommitBlock = [
+    body('template_id').isUUID().withMessage('Invalid Template ID'),
+    body('version').isInt({ min: BLOCK_VERSION, max: BLOCK_VERSION }).withMessage(`Block version must be ${BLOCK_VERSION}`),
     body('creator_id').isUUID().withMessage('Invalid Creator ID'),
     body('previous_hash').optional({ nullable: true }).isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Previous Hash format'),
     body('block_hash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Block Hash format'),
     body('nonce').isString().withMessage('Nonce must be a string representing a BigInt'), // Nonce is BigInt -> String
-    body('difficulty').isInt({ min: 1 }).withMessage('Invalid Difficulty'),
-    body('encrypted_data_hex').isHexadecimal().withMessage('Invalid Encrypted Data format'),
-    body('data_iv_hex').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid IV format'), // AES-GCM IV is 16 bytes (32 hex chars)
-    body('encrypted_data_key_hex').isHexadecimal().withMessage('Invalid Encrypted AES Key format'),
-    body('data_size').isInt({ min: 1 }).withMessage('Invalid Data Size'),
+    body('difficulty').isInt({ min: 1, max: 256 }).withMessage('Invalid Difficulty (leading zero bits)'),
+    body('merkle_root').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Merkle Root format'),
+    body('records').isArray({ min: 1, max: MAX_RECORDS_PER_BLOCK }).withMessage(`A block must contain between 1 and ${MAX_RECORDS_PER_BLOCK} records`),
+    body('records.*.encrypted_data_hex').isHexadecimal().withMessage('Invalid Encrypted Data format'),
+    body('records.*.data_iv_hex').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid IV format'), // AES-GCM IV is 16 bytes (32 hex chars)
+    body('records.*.encrypted_data_key_hex').isHexadecimal().withMessage('Invalid Encrypted AES Key format'),
+    body('records.*.data_size').isInt({ min: 1 }).withMessage('Invalid Data Size'),
     body('signature_hex').isHexadecimal().withMessage('Invalid Signature format'),
     body('created_at_iso').isISO8601().withMessage('Invalid Created At timestamp'),
-    body('mining_duration_ms').isInt({ min: 0 }).withMessage('Invalid Mining Duration')
+    body('mining_duration_ms').isInt({ min: 0 }).withMessage('Invalid Mining Duration'),
+    body('mining_attempts').isInt({ min: 1 }).withMessage('Invalid Mining Attempts')
 ];
 
+// Blocco in formato JSON per le risposte: payload e firma in hex, dei record solo hash e dimensione
+function toResponseBlock(block) {
+    const toHex = (value) => value ? Buffer.from(value).toString('hex') : null;
+    return {
+        ...block,
+        encrypted_data: toHex(block.encrypted_data),
+        data_iv: toHex(block.data_iv),
+        encrypted_data_key: toHex(block.encrypted_data_key),
+        signature: toHex(block.signature),
+        records: block.records?.map((record, index) => ({
+            record_index: index,
+            record_hash: CryptoUtils.calculateRecordHash(record),
+            data_size: record.data_size
+        }))
+    };
+}
 
 // GET /blocks - Recupera blocchi con paginazione e filtri
 router.get('/', asyncHandler(async (req, res) => {
@@ -46,9 +70,15 @@ router.get('/', asyncHandler(async (req, res) => {
     let whereClause = 'WHERE 1=1';
     const queryParams = [];
 
+    // Filtro sullo stato di verifica: uno di BLOCK_STATUSES, oppure 'true'/'false' (validi / non ancora verificati)
     if (verified !== 'all') {
-        whereClause += ` AND verified = $${queryParams.length + 1}`;
-        queryParams.push(verified === 'true');
+        const legacyStatus = { true: 'valid', false: 'pending' }[verified];
+        const status = legacyStatus || verified;
+        if (!BLOCK_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid verified filter: use all, true, false or one of ${BLOCK_STATUSES.join(', ')}`);
+        }
+        whereClause += ` AND status = $${queryParams.length + 1}`;
+        queryParams.push(status);
     }
 
     let orderByClause = 'ORDER BY created_at DESC'; // Default: newest
@@ -66,10 +96,11 @@ router.get('/', asyncHandler(async (req, res) => {
 
     // Query per recuperare i blocchi della pagina corrente
     const blocksQuery = `
-        SELECT b.block_id, b.block_number, b.creator_id, c.display_name as creator_name,
+        SELECT b.block_id, b.version, b.block_number, b.creator_id, c.display_name as creator_name,
                b.previous_hash, b.block_hash, b.nonce, b.difficulty,
-               b.data_size, b.created_at, b.verified, b.verified_at,
-               b.mining_duration_ms,
+               b.data_size, b.created_at, b.verified, b.status, b.verified_at,
+               b.mining_duration_ms, b.mining_attempts, b.merkle_root, b.record_count,
+               (SELECT COUNT(*) FROM blockchain.block_attestations a WHERE a.block_hash = b.block_hash)::int as attestation_count,
                encode(b.encrypted_data, 'hex') as encrypted_data_hex,
                encode(b.data_iv, 'hex') as data_iv_hex,
                encode(b.encrypted_data_key, 'hex') as encrypted_data_key_hex,
@@ -88,7 +119,8 @@ router.get('/', asyncHandler(async (req, res) => {
      const blocksForJson = blocksResult.rows.map(block => ({
         ...block,
         block_number: block.block_number?.toString(), // Assicura che sia stringa
-        nonce: block.nonce?.toString() // Assicura che sia stringa
+        nonce: block.nonce?.toString(), // Assicura che sia stringa
+        finalized: isFinalized(block.attestation_count)
     }));
 
     res.json({
@@ -104,14 +136,14 @@ router.get('/', asyncHandler(async (req, res) => {
     });
 }));
 
-// POST /blocks/prepare-mining
-router.post('/prepare-mining', validatePrepareMining, asyncHandler(async (req, res) => {
+// POST /blocks/template - Riserva genitore e altezza del prossimo blocco per un creator
+router.post('/template', validateBlockTemplate, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        throw new ValidationError('Validation failed for mining preparation', errors.array());
+        throw new ValidationError('Validation failed for block template', errors.array());
     }
 
-    const { display_name, data_text } = req.body; // Solo nome e dati grezzi
+    const { display_name } = req.body;
 
     // 1. Trova il Creator e la sua chiave pubblica
     const creatorResult = await pool.query(
@@ -123,19 +155,32 @@ router.post('/prepare-mining', validatePrepareMining, asyncHandler(async (req, r
     }
     const { creator_id, public_key_pem } = creatorResult.rows[0];
 
-    // 2. Determina previousHash
-    const lastBlock = await req.blockchain.getLatestBlock();
-    const previousHashForCalc = lastBlock ? lastBlock.block_hash : GENESIS_HASH;
+    // 2. Template sulla punta attuale, registrato nel mempool, con la difficoltà richiesta dalla catena
+    // (un commit con una difficoltà diversa viene rifiutato)
+    const template = req.mempool.createTemplate({
+        creatorId: creator_id,
+        tip: await req.blockchain.getLatestBlock(),
+        difficulty: req.blockchain.getNextDifficulty(),
+        version: BLOCK_VERSION,
+    });
+
+    logger.info(`Block template ${template.template_id} issued to creator ${display_name} (block #${template.block_number}).`);
 
-    logger.info(`Preparing mining for creator ${display_name}. Sending public key and previous hash.`);
+    // 3. Il frontend mina l'header con versione, altezza e previous_hash indicati (GENESIS_HASH per il primo blocco)
+    // e li rimanda nel commit
+    res.json({
+        ...template,
+        previous_hash: template.previous_hash || GENESIS_HASH,
+        public_key_pem,
+    });
+}));
 
-    // 3. Invia la chiave pubblica e le info necessarie al frontend
+// GET /blocks/mempool - Template riservati e sottomissioni in corso
+router.get('/mempool', asyncHandler(async (req, res) => {
+    const tip = await req.blockchain.getLatestBlock();
     res.json({
-        creator_id: creator_id,
-        public_key_pem: public_key_pem,
-        previous_hash: previousHashForCalc,
-        difficulty: DIFFICULTY,
-        // data_text non viene rimandato indietro, il frontend ce l'ha già
+        tip: tip ? { block_number: tip.block_number, block_hash: tip.block_hash } : null,
+        pending: req.mempool.list(tip ? tip.block_hash : null)
     });
 }));
 
@@ -147,72 +192,86 @@ router.post('/commit', validateCommitBlock, asyncHandler(async (req, res) => {
     }
 
     const {
+        template_id,
         creator_id,
+        previous_hash,
         block_hash,
         nonce,
         difficulty,
-        encrypted_data_hex,
-        data_iv_hex,
-        encrypted_data_key_hex,
-        data_size,
+        merkle_root,
+        records,
         signature_hex,
         created_at_iso,
-        mining_duration_ms
+        mining_duration_ms,
+        mining_attempts
     } = req.body;
 
     logger.info(`Received commit request for block hash: ...${block_hash.slice(-6)}`);
 
-    // 1. Verifica l'esistenza del creator e recupera la chiave pubblica
+    // 1. Verifica l'esistenza del creator
     const creatorResult = await pool.query(
-        'SELECT public_key_pem FROM blockchain.creators WHERE creator_id = $1 AND is_active = true',
+        'SELECT creator_id FROM blockchain.creators WHERE creator_id = $1 AND is_active = true',
         [creator_id]
     );
     if (creatorResult.rows.length === 0) {
         throw new NotFoundError('Creator specified in the block not found or inactive');
     }
-    const { public_key_pem } = creatorResult.rows[0];
 
-    // 2. Verifica la firma digitale (Backend verification)
-    const signature = Buffer.from(signature_hex, 'hex');
-    const isSignatureValid = CryptoUtils.verifySignature(public_key_pem, block_hash, signature);
-    if (!isSignatureValid) {
-        logger.warn(`Invalid signature received for block hash: ...${block_hash.slice(-6)}`);
-        throw new BlockchainError('Invalid digital signature for the submitted block');
+    // 2. Il template deve essere stato emesso per questo creator e il blocco deve essere minato sul suo genitore
+    const template = req.mempool.claim(template_id, creator_id);
+    if (!template) {
+        throw new ConflictError('Block template not found, expired or already submitted', { reason: 'UNKNOWN_TEMPLATE' });
     }
-    logger.info(`Signature verified successfully for block hash: ...${block_hash.slice(-6)}`);
 
-    // 3. Verifica Proof-of-Work
-    const requiredPrefix = '0'.repeat(difficulty);
-    if (!block_hash.startsWith(requiredPrefix)) {
-        logger.warn(`Proof-of-Work failed for submitted block hash: ...${block_hash.slice(-6)}`);
-        throw new BlockchainError('Proof-of-Work validation failed');
+    const signature = Buffer.from(signature_hex, 'hex');
+    // previous_hash è quello incluso nell'hash minato (GENESIS_HASH/assente per il primo blocco, salvato come NULL)
+    const previousHashForDb = previous_hash && previous_hash !== GENESIS_HASH ? previous_hash : null;
+
+    if (previousHashForDb !== template.previous_hash) {
+        req.mempool.release(template_id);
+        throw new ValidationError('Previous hash does not match the block template');
     }
 
-    // 4. Determina previousHash per DB (potrebbe essere NULL per il genesis)
-    const lastBlock = await req.blockchain.getLatestBlock();
-    const previousHashForDb = lastBlock ? lastBlock.block_hash : null;
-    const newBlockNumber = lastBlock ? BigInt(lastBlock.block_number) + 1n : 1n;
+    // 3. La firma copre solo la Merkle root (versione 5): un payload già nella catena viene rifiutato dalla regola
+    //    unique_payload (vedi checkUniquePayload); controllarlo qui evita di consumare il template
+    if (req.blockchain.containsPayload(merkle_root)) {
+        req.mempool.release(template_id);
+        throw new ConflictError('Block payload is already in the chain', { reason: 'DUPLICATE_PAYLOAD' });
+    }
 
-    // 5. Prepara i dati per l'inserimento nel DB (converti hex in Buffer)
+    // 4. Prepara i dati per l'inserimento nel DB (converti hex in Buffer). Ogni record è cifrato
+    // separatamente; la Merkle root dei record, inclusa nell'header, è verificata da commitBlock.
+    const blockRecords = decodeRecords(records);
     const newBlockData = {
         block_id: crypto.randomUUID(), // Genera UUID nel backend
-        block_number: newBlockNumber.toString(),
+        version: BLOCK_VERSION,
+        block_number: template.block_number,
         creator_id,
-        previous_hash: previousHashForDb, // Usa quello determinato qui
+        previous_hash: previousHashForDb,
         block_hash,
         nonce: nonce.toString(), // Salva come stringa
         difficulty,
-        encrypted_data: Buffer.from(encrypted_data_hex, 'hex'),
-        data_iv: Buffer.from(data_iv_hex, 'hex'),
-        encrypted_data_key: Buffer.from(encrypted_data_key_hex, 'hex'),
-        data_size,
-        signature, // Usa il buffer della firma verificata
+        merkle_root,
+        records: blockRecords,
+        data_size: blockRecords.reduce((total, record) => total + record.data_size, 0),
+        signature, // Verificata da commitBlock insieme a hash e Proof-of-Work
         mining_duration_ms,
-        created_at: new Date(created_at_iso) // Converti ISO string in Date
+        mining_attempts: mining_attempts.toString(), // Dichiarati dal client (BIGINT)
+        created_at: new Date(created_at_iso), // Converti ISO string in Date
+        origin_node_id: req.p2pServer.nodeId // Questo nodo è l'origine del blocco
     };
 
-    // 6. Aggiungi alla chain locale (DB + memoria) e trasmetti
-    const added = await req.blockchain.addBlock(newBlockData);
+    // 5. Valida (hash, PoW, collegamento, altezza, created_at rispetto alla median time past, firma) e aggiungi alla chain locale (DB + memoria), poi trasmetti.
+    // Un blocco non valido genera BlockValidationError (400) con il motivo del rifiuto; se nel frattempo
+    // la punta è cambiata, ConflictError (409) con la nuova punta.
+    let added;
+    try {
+        added = await req.blockchain.commitBlock(newBlockData);
+    } finally {
+        req.mempool.release(template_id);
+    }
+
+    logger.performance.logMiningOperation(creator_id, mining_duration_ms, mining_attempts, added);
 
     if (!added) {
         logger.warn(`Block commit failed for hash ...${block_hash.slice(-6)}. It might already exist or DB insertion failed.`);
@@ -227,13 +286,7 @@ router.post('/commit', validateCommitBlock, asyncHandler(async (req, res) => {
                 ...existingBlock,
                 block_number: existingBlock.block_number.toString(),
                 nonce: existingBlock.nonce.toString()
-                } : { ...newBlockData,
-                     // Converti Buffer in hex per la risposta JSON di fallback
-                    encrypted_data: newBlockData.encrypted_data.toString('hex'),
-                    data_iv: newBlockData.data_iv.toString('hex'),
-                    encrypted_data_key: newBlockData.encrypted_data_key.toString('hex'),
-                    signature: newBlockData.signature.toString('hex'),
-                 }
+                } : toResponseBlock(newBlockData) // Converti Buffer in hex per la risposta JSON di fallback
         });
     }
 
@@ -249,43 +302,148 @@ router.post('/commit', validateCommitBlock, asyncHandler(async (req, res) => {
     res.status(201).json({
         message: 'Block committed and broadcasted successfully',
         block: {
-            ...newBlockData,
-             // Converti Buffer in hex per la risposta JSON
-            encrypted_data: newBlockData.encrypted_data.toString('hex'),
-            data_iv: newBlockData.data_iv.toString('hex'),
-            encrypted_data_key: newBlockData.encrypted_data_key.toString('hex'),
-            signature: newBlockData.signature.toString('hex'),
+            ...toResponseBlock(newBlockData), // Converti Buffer in hex per la risposta JSON
             creator_name: creatorName, // Aggiungi creator_name
-            // attempts: req.body.attempts // Se il frontend invia anche i tentativi
         }
     });
 }));
 
 
-// GET /stats/summary - Statistiche sui blocchi (Invariato)
+// GET /blocks/:block_hash/records/:record_index/proof - Record cifrato con la prova di inclusione nella Merkle root
+router.get('/:block_hash/records/:record_index/proof', [
+    param('block_hash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Block Hash format'),
+    param('record_index').isInt({ min: 0 }).withMessage('Invalid record index'),
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Invalid record proof parameters', errors.array());
+    }
+
+    const block = req.blockchain.findBlock(req.params.block_hash);
+    if (!block) {
+        throw new NotFoundError('Block not found');
+    }
+    const record = getRecordsWithProofs(block)[parseInt(req.params.record_index, 10)];
+    if (!record) {
+        throw new NotFoundError('Record not found in block');
+    }
+
+    res.json({
+        block_hash: block.block_hash,
+        block_number: block.block_number,
+        version: block.version,
+        in_main_chain: req.blockchain.chain.includes(block),
+        merkle_root: record.merkle_root, // null per i blocchi versione 1 (nessun impegno sul payload)
+        record: {
+            record_index: record.record_index,
+            record_hash: record.record_hash,
+            data_size: record.data_size,
+            encrypted_data_b64: Buffer.from(record.encrypted_data).toString('base64'),
+            data_iv_b64: Buffer.from(record.data_iv).toString('base64'),
+            encrypted_data_key_b64: Buffer.from(record.encrypted_data_key).toString('base64')
+        },
+        proof: record.proof
+    });
+}));
+
+// GET /blocks/:block_hash/verification - Esito dei controlli del verifier sul blocco, dalla verifica più recente
+router.get('/:block_hash/verification', [
+    param('block_hash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Block Hash format'),
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Invalid block hash parameter', errors.array());
+    }
+
+    const { block_hash } = req.params;
+    const block = req.blockchain.findBlock(block_hash);
+    const { rows } = await pool.query(
+        `SELECT run_id, block_number, source, check_name, passed, detail, verifier_node_id, verified_at
+         FROM blockchain.block_verifications
+         WHERE block_hash = $1
+         ORDER BY verified_at DESC`,
+        [block_hash]
+    );
+    const attestations = await getBlockAttestations(block_hash);
+    if (!block && rows.length === 0 && attestations.length === 0) {
+        throw new NotFoundError('Block not found');
+    }
+
+    // Un elemento per verifica (run_id), dalla più recente; i controlli nell'ordine in cui vengono eseguiti
+    const runs = new Map();
+    for (const row of rows) {
+        if (!runs.has(row.run_id)) {
+            runs.set(row.run_id, {
+                run_id: row.run_id,
+                source: row.source,
+                verifier_node_id: row.verifier_node_id,
+                verified_at: row.verified_at,
+                passed: true,
+                checks: []
+            });
+        }
+        const run = runs.get(row.run_id);
+        run.passed = run.passed && row.passed;
+        run.checks.push({ check: row.check_name, passed: row.passed, detail: row.detail });
+    }
+    const verifications = [...runs.values()].map(run => ({
+        ...run,
+        checks: run.checks.sort((a, b) => VERIFICATION_CHECKS.indexOf(a.check) - VERIFICATION_CHECKS.indexOf(b.check))
+    }));
+
+    res.json({
+        block_hash,
+        block_number: block ? block.block_number : rows[0]?.block_number ?? null,
+        latest: verifications[0] || null, // null = il blocco non è ancora stato verificato
+        history: verifications.slice(1, 10),
+        // Verifiche degli altri nodi: il blocco è finale quando le attestazioni raggiungono il quorum
+        attestations,
+        attestation_count: attestations.length,
+        finality_quorum: FINALITY_QUORUM,
+        finalized: isFinalized(attestations.length)
+    });
+}));
+
+// GET /stats/summary - Statistiche sui blocchi
 router.get('/stats/summary', asyncHandler(async (req, res) => {
     const statsQuery = `
         SELECT
             COUNT(*) as total_blocks,
-            COUNT(*) FILTER (WHERE verified = TRUE) as verified_blocks,
-            COUNT(*) FILTER (WHERE verified = FALSE) as pending_blocks,
+            COUNT(*) FILTER (WHERE status = 'valid') as verified_blocks,
+            COUNT(*) FILTER (WHERE status = 'pending') as pending_blocks,
+            COUNT(*) FILTER (WHERE status = 'invalid') as invalid_blocks,
+            (SELECT COUNT(*) FROM blockchain.side_blocks WHERE status = 'superseded') as superseded_blocks,
+            COUNT(*) FILTER (WHERE (
+                SELECT COUNT(*) FROM blockchain.block_attestations a WHERE a.block_hash = b.block_hash
+            ) >= $1) as finalized_blocks,
             AVG(mining_duration_ms) as avg_mining_time_ms,
             MAX(mining_duration_ms) as max_mining_time_ms,
+            AVG(mining_attempts) as avg_mining_attempts,
+            -- Hash rate medio dei miner: solo i blocchi che dichiarano sia tentativi sia durata
+            SUM(mining_attempts * 1000.0) FILTER (WHERE mining_attempts IS NOT NULL AND mining_duration_ms > 0)
+                / NULLIF(SUM(mining_duration_ms) FILTER (WHERE mining_attempts IS NOT NULL AND mining_duration_ms > 0), 0) as avg_hash_rate,
             AVG(data_size) as avg_data_size,
-            AVG(difficulty) as avg_difficulty
-        FROM blockchain.blocks
+            AVG(CASE WHEN version >= 4 THEN difficulty ELSE difficulty * 4 END) as avg_difficulty -- In bit
+        FROM blockchain.blocks b
     `;
 
-    const { rows } = await pool.query(statsQuery);
+    const { rows } = await pool.query(statsQuery, [FINALITY_QUORUM]);
 
     const stats = {
         total_blocks: parseInt(rows[0].total_blocks || 0, 10),
         verified_blocks: parseInt(rows[0].verified_blocks || 0, 10),
-        pending_blocks: parseInt(rows[0].pending_blocks || 0, 10),
+        pending_blocks: parseInt(rows[0].pending_blocks || 0, 10), // Non ancora verificati
+        invalid_blocks: parseInt(rows[0].invalid_blocks || 0, 10), // Verifica fallita
+        superseded_blocks: parseInt(rows[0].superseded_blocks || 0, 10), // Usciti dalla catena principale per una riorganizzazione
+        finalized_blocks: parseInt(rows[0].finalized_blocks || 0, 10), // Attestati da almeno finality_quorum nodi
+        finality_quorum: FINALITY_QUORUM,
         avg_mining_time_ms: parseFloat(rows[0].avg_mining_time_ms || 0),
         max_mining_time_ms: parseInt(rows[0].max_mining_time_ms || 0, 10),
+        avg_mining_attempts: parseFloat(rows[0].avg_mining_attempts || 0),
+        avg_hash_rate: parseFloat(rows[0].avg_hash_rate || 0), // Hash al secondo
         avg_data_size: parseFloat(rows[0].avg_data_size || 0),
-        avg_difficulty: parseFloat(rows[0].avg_difficulty || 0)
+        avg_difficulty: parseFloat(rows[0].avg_difficulty || 0),
+        difficulty: req.blockchain.getDifficultyStatus() // Regolazione della difficoltà sulla punta attuale
     };
     res.json({ stats });
 }));
@@ -2,6 +2,8 @@ const express = require('express');
 const { param, validationResult } = require('express-validator');
 const { pool } = require('../database/db');
 const logger = require('../utils/logger');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { getRecordsWithProofs } = require('../services/blockRecords');
 const { asyncHandler, ValidationError, NotFoundError } = require('../utils/errors'); 
 
 const router = express.Router();
@@ -48,29 +50,102 @@ router.get(
                 block_id,
                 block_number,
                 block_hash,
+                previous_hash,
                 created_at,
-                encode(encrypted_data, 'base64') as encrypted_data_b64, -- Invia in base64 per facilitare il frontend
-                encode(data_iv, 'base64') as data_iv_b64,
-                encode(encrypted_data_key, 'base64') as encrypted_data_key_b64,
+                creator_id,
+                difficulty,
+                nonce,
+                signature,
+                version,
+                merkle_root,
+                encrypted_data,
+                data_iv,
+                encrypted_data_key,
                 data_size,
-                verified
+                verified,
+                status
              FROM blockchain.blocks
              WHERE creator_id = $1
              ORDER BY block_number ASC`,
             [creator_id]
         );
 
-        const blocks = blocksResult.rows.map(block => ({
+        // Dalla versione 3 il payload è suddiviso in record salvati a parte
+        const recordBlockHashes = blocksResult.rows.filter(block => block.version >= 3).map(block => block.block_hash);
+        const recordsByBlock = new Map();
+        if (recordBlockHashes.length > 0) {
+            const recordsResult = await pool.query(
+                `SELECT block_hash, encrypted_data, data_iv, encrypted_data_key, data_size
+                 FROM blockchain.block_records
+                 WHERE block_hash = ANY($1)
+                 ORDER BY block_hash, record_index ASC`,
+                [recordBlockHashes]
+            );
+            for (const record of recordsResult.rows) {
+                if (!recordsByBlock.has(record.block_hash)) recordsByBlock.set(record.block_hash, []);
+                recordsByBlock.get(record.block_hash).push(record);
+            }
+        }
+
+        // Header dei blocchi precedenti (anche di altri creator) per la verifica del collegamento nel browser.
+        // Dalla versione 2 l'header basta a ricalcolare l'hash: per la 2 si invia l'impegno sul payload al posto dei dati.
+        const previousHashes = [...new Set(blocksResult.rows.map(block => block.previous_hash).filter(Boolean))];
+        const previousHeaders = new Map();
+        if (previousHashes.length > 0) {
+            const previousResult = await pool.query(
+                `SELECT version, block_number, block_hash, previous_hash, merkle_root, created_at, creator_id,
+                        difficulty, nonce, encrypted_data, data_iv, encrypted_data_key
+                 FROM blockchain.blocks
+                 WHERE block_hash = ANY($1)`,
+                [previousHashes]
+            );
+            for (const { encrypted_data, data_iv, encrypted_data_key, ...header } of previousResult.rows) {
+                previousHeaders.set(header.block_hash, {
+                    ...header,
+                    block_number: header.block_number.toString(),
+                    nonce: header.nonce.toString(),
+                    payload_commitment: header.version === 2
+                        ? CryptoUtils.calculateRecordHash({ encrypted_data, data_iv, encrypted_data_key })
+                        : null
+                });
+            }
+        }
+
+        // Un elemento per record, con l'header del blocco e la prova di inclusione nella Merkle root
+        const records = blocksResult.rows.flatMap(block => getRecordsWithProofs({
             ...block,
+            records: recordsByBlock.get(block.block_hash)
+        }).map(record => ({
+            block_id: block.block_id,
             block_number: block.block_number.toString(), // Assicura stringa
-        }));
+            block_hash: block.block_hash,
+            previous_hash: block.previous_hash,
+            created_at: block.created_at,
+            creator_id: block.creator_id,
+            difficulty: block.difficulty,
+            nonce: block.nonce.toString(),
+            version: block.version,
+            verified: block.verified,
+            status: block.status,
+            signature_b64: Buffer.from(block.signature).toString('base64'),
+            previous_header: block.previous_hash ? previousHeaders.get(block.previous_hash) || null : null,
+            record_index: record.record_index,
+            record_hash: record.record_hash,
+            merkle_root: record.merkle_root,
+            proof: record.proof,
+            data_size: record.data_size,
+            // Invia in base64 per facilitare il frontend
+            encrypted_data_b64: Buffer.from(record.encrypted_data).toString('base64'),
+            data_iv_b64: Buffer.from(record.data_iv).toString('base64'),
+            encrypted_data_key_b64: Buffer.from(record.encrypted_data_key).toString('base64')
+        })));
 
-        logger.info(`Found ${blocks.length} blocks for creator ${displayName}`);
+        logger.info(`Found ${blocksResult.rows.length} blocks (${records.length} records) for creator ${displayName}`);
 
         res.json({
             creator_id: creator_id,
             display_name: displayName,
-            blocks: blocks // Invia i blocchi crittografati (con dati in base64)
+            records: records // Invia i record crittografati (con dati in base64)
         });
     })
 );
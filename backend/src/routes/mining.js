@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { BLOCK_VERSION, MAX_RECORDS_PER_BLOCK, MINING_JOB_STATUSES } = require('../config');
+const { decodeRecords } = require('../services/blockRecords');
+const { asyncHandler, NotFoundError, ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validazione di un job di mining delegato: record cifrati e firma sulla Merkle root, senza header né nonce
+const validateMiningJob = [
+    body('version').isInt({ min: BLOCK_VERSION, max: BLOCK_VERSION }).withMessage(`Block version must be ${BLOCK_VERSION}`),
+    body('creator_id').isUUID().withMessage('Invalid Creator ID'),
+    body('merkle_root').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid Merkle Root format'),
+    body('records').isArray({ min: 1, max: MAX_RECORDS_PER_BLOCK }).withMessage(`A block must contain between 1 and ${MAX_RECORDS_PER_BLOCK} records`),
+    body('records.*.encrypted_data_hex').isHexadecimal().withMessage('Invalid Encrypted Data format'),
+    body('records.*.data_iv_hex').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid IV format'),
+    body('records.*.encrypted_data_key_hex').isHexadecimal().withMessage('Invalid Encrypted AES Key format'),
+    body('records.*.data_size').isInt({ min: 1 }).withMessage('Invalid Data Size'),
+    body('signature_hex').isHexadecimal().withMessage('Invalid Signature format'),
+];
+
+const validateJobId = [
+    param('job_id').isUUID().withMessage('Invalid Job ID')
+];
+
+// Annullamento: firma del creator su CryptoUtils.buildCancelJobInput(job_id)
+const validateJobCancellation = [
+    ...validateJobId,
+    body('signature_hex').isHexadecimal().withMessage('Invalid Signature format'),
+];
+
+// GET /mining/jobs - Job più recenti (coda e storico), filtrabili per creator e stato, senza i loro id
+router.get('/jobs', [
+    query('creator_id').optional().isUUID().withMessage('Invalid Creator ID'),
+    query('status').optional().isIn(MINING_JOB_STATUSES).withMessage(`Status must be one of ${MINING_JOB_STATUSES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Invalid mining job filters', errors.array());
+    }
+
+    const jobs = await req.miningJobs.list({ creatorId: req.query.creator_id, status: req.query.status });
+    res.json({ jobs });
+}));
+
+// POST /mining/jobs - Affida al nodo il mining di un blocco (vedi MiningJobs)
+router.post('/jobs', validateMiningJob, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed for mining job', errors.array());
+    }
+
+    const { creator_id, merkle_root, records, signature_hex } = req.body;
+    const job = await req.miningJobs.submit({
+        creator_id,
+        merkle_root,
+        records: decodeRecords(records),
+        signature: Buffer.from(signature_hex, 'hex'),
+    });
+
+    res.status(202).json({ message: 'Mining job queued', job });
+}));
+
+// GET /mining/jobs/:job_id - Stato di un job di mining delegato
+router.get('/jobs/:job_id', validateJobId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Invalid Job ID', errors.array());
+    }
+
+    const job = await req.miningJobs.get(req.params.job_id);
+    if (!job) {
+        throw new NotFoundError('Mining job not found');
+    }
+    res.json({ job });
+}));
+
+// DELETE /mining/jobs/:job_id - Annulla un job in coda o in mining (solo il creator del job)
+router.delete('/jobs/:job_id', validateJobCancellation, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed for mining job cancellation', errors.array());
+    }
+
+    const job = await req.miningJobs.cancel(req.params.job_id, Buffer.from(req.body.signature_hex, 'hex'));
+    res.json({ message: job.status === 'cancelled' ? 'Mining job cancelled' : `Mining job already ${job.status}`, job });
+}));
+
+module.exports = router;
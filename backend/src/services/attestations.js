@@ -0,0 +1,80 @@
+const { pool } = require('../database/db');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { FINALITY_QUORUM } = require('../config');
+
+// Attestazione: dichiarazione firmata con la chiave Ed25519 di un nodo che il blocco è stato verificato come valido.
+// Il messaggio firmato lega hash del blocco, node id e istante della verifica.
+function attestationMessage({ block_hash, node_id, attested_at }) {
+    return `attestation:${block_hash}:${node_id}:${attested_at}`;
+}
+
+function createAttestation(identity, blockHash) {
+    const attestation = {
+        block_hash: blockHash,
+        node_id: identity.node_id,
+        public_key: identity.public_key,
+        attested_at: new Date().toISOString(),
+    };
+    attestation.signature = CryptoUtils.signWithNodeKey(identity.private_key_pem, attestationMessage(attestation));
+    return attestation;
+}
+
+// Controlla forma e firma di un'attestazione ricevuta (non se il nodo è noto: vedi P2pServer.isKnownAttestor)
+function verifyAttestation(attestation) {
+    if (!attestation || !/^[a-f0-9]{64}$/.test(attestation.block_hash) || typeof attestation.node_id !== 'string' ||
+        typeof attestation.public_key !== 'string' || typeof attestation.signature !== 'string' ||
+        Number.isNaN(Date.parse(attestation.attested_at))) {
+        return false;
+    }
+    return CryptoUtils.verifyNodeSignature(attestation.public_key, attestationMessage(attestation), attestation.signature);
+}
+
+// Salva un'attestazione; ritorna true se è nuova (solo le nuove vengono ri-trasmesse ai peer)
+async function saveAttestation(attestation) {
+    const { rows } = await pool.query(
+        `INSERT INTO blockchain.block_attestations (block_hash, node_public_key, node_id, attested_at, signature)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (block_hash, node_public_key) DO NOTHING
+         RETURNING block_hash`,
+        [attestation.block_hash, attestation.public_key, attestation.node_id, attestation.attested_at, attestation.signature]
+    );
+    return rows.length > 0;
+}
+
+// Attestazioni dei blocchi più recenti della catena principale, inviate ai peer appena connessi
+async function getRecentAttestations(depth, limit) {
+    const { rows } = await pool.query(
+        `SELECT a.block_hash, a.node_id, a.node_public_key AS public_key, a.attested_at, a.signature
+         FROM blockchain.block_attestations a
+         JOIN (SELECT block_hash FROM blockchain.blocks ORDER BY block_number DESC LIMIT $1) b USING (block_hash)
+         ORDER BY a.received_at DESC
+         LIMIT $2`,
+        [depth, limit]
+    );
+    return rows.map(row => ({ ...row, attested_at: new Date(row.attested_at).toISOString() }));
+}
+
+async function getBlockAttestations(blockHash) {
+    const { rows } = await pool.query(
+        `SELECT node_id, node_public_key, attested_at, received_at
+         FROM blockchain.block_attestations
+         WHERE block_hash = $1
+         ORDER BY attested_at ASC`,
+        [blockHash]
+    );
+    return rows;
+}
+
+function isFinalized(attestationCount) {
+    return Number(attestationCount) >= FINALITY_QUORUM;
+}
+
+module.exports = {
+    attestationMessage,
+    createAttestation,
+    verifyAttestation,
+    saveAttestation,
+    getRecentAttestations,
+    getBlockAttestations,
+    isFinalized
+};
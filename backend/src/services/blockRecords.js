@@ -0,0 +1,44 @@
+const CryptoUtils = require('../utils/cryptoUtils');
+
+// Record cifrati di un blocco: dalla versione 3 sono salvati in blockchain.block_records,
+// nei blocchi precedenti il payload del blocco è l'unico record
+function getBlockRecords(block) {
+    if (Number(block.version || 1) >= 3) {
+        return block.records || [];
+    }
+    return [{
+        encrypted_data: block.encrypted_data,
+        data_iv: block.data_iv,
+        encrypted_data_key: block.encrypted_data_key,
+        data_size: block.data_size,
+    }];
+}
+
+// Record con hash e prova di inclusione rispetto all'impegno sul payload dell'header.
+// Nella versione 2 l'impegno è l'hash dell'unico record (prova vuota); la versione 1 non ha impegno (null).
+function getRecordsWithProofs(block) {
+    const version = Number(block.version || 1);
+    const records = getBlockRecords(block);
+    const leaves = records.map(record => CryptoUtils.calculateRecordHash(record));
+    const merkleRoot = version >= 3 ? block.merkle_root : (version === 2 ? leaves[0] : null);
+
+    return records.map((record, index) => ({
+        ...record,
+        record_index: index,
+        record_hash: leaves[index],
+        merkle_root: merkleRoot,
+        proof: merkleRoot ? CryptoUtils.buildMerkleProof(leaves, index) : null,
+    }));
+}
+
+// Record ricevuti dalle API (campi in hex, vedi validatori di /blocks/commit e /mining/jobs) convertiti in Buffer
+function decodeRecords(records) {
+    return records.map(record => ({
+        encrypted_data: Buffer.from(record.encrypted_data_hex, 'hex'),
+        data_iv: Buffer.from(record.data_iv_hex, 'hex'),
+        encrypted_data_key: Buffer.from(record.encrypted_data_key_hex, 'hex'),
+        data_size: record.data_size
+    }));
+}
+
+module.exports = { getBlockRecords, getRecordsWithProofs, decodeRecords };
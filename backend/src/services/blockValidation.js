@@ -0,0 +1,320 @@
+// Regole di validità di un blocco, condivise da commit API e P2P (validateBlock tramite Blockchain),
+// verifier (runBlockChecks, anche nei worker di VerificationPool) e CLI di verifica (validate-chain.js).
+// Nessuna regola accede al DB: predecessore, antenati e chiave pubblica del creator sono forniti dal chiamante.
+
+const CryptoUtils = require('../utils/cryptoUtils');
+const logger = require('../utils/logger');
+const {
+    GENESIS_HASH, SUPPORTED_BLOCK_VERSIONS, MAX_RECORDS_PER_BLOCK, MAX_FUTURE_BLOCK_TIME_MS, MEDIAN_TIME_SPAN,
+    DIFFICULTY_RETARGET_WINDOW, PAYLOAD_SIGNATURE_VERSION
+} = require('../config');
+const { getBlockRecords } = require('./blockRecords');
+const { getDifficultyBits, isRetargetedBlock, getRequiredDifficulty } = require('./consensus');
+
+// Controlli eseguiti da runBlockChecks, nell'ordine di esecuzione (merkle_root solo dalla versione 3)
+const VERIFICATION_CHECKS = [
+    'merkle_root', 'hash', 'proof_of_work', 'difficulty', 'chain_integrity', 'timestamp', 'signature', 'unique_payload',
+    'data_integrity'
+];
+
+// Antenati necessari per validare un blocco: median time past e finestra di regolazione della difficoltà
+const ANCESTOR_DEPTH = Math.max(MEDIAN_TIME_SPAN, DIFFICULTY_RETARGET_WINDOW);
+
+// Controlli che non richiedono il predecessore: bastano a scartare un blocco orfano falso
+const HEADER_CHECKS = ['merkle_root', 'hash', 'proof_of_work'];
+
+// Ricalcola la Merkle root dai record del blocco (versione 3)
+function checkMerkleRoot(block) {
+    const records = Array.isArray(block.records) ? block.records : [];
+    if (records.length === 0 || records.length > MAX_RECORDS_PER_BLOCK) {
+        return { passed: false, detail: `Invalid record count ${records.length}` };
+    }
+    if (block.record_count !== undefined && block.record_count !== null && records.length !== Number(block.record_count)) {
+        return { passed: false, detail: `Expected ${block.record_count} records, found ${records.length}` };
+    }
+    const merkleRoot = CryptoUtils.calculateMerkleRoot(records.map(record => CryptoUtils.calculateRecordHash(record)));
+    return CryptoUtils.timeSafeEqual(merkleRoot, block.merkle_root || '')
+        ? { passed: true }
+        : { passed: false, detail: `Merkle root mismatch: calculated ${merkleRoot}, stored ${block.merkle_root}` };
+}
+
+// Ricalcola l'hash dell'header (il formato dipende dalla versione, vedi CryptoUtils.buildHashInput)
+function checkHash(block) {
+    if (!SUPPORTED_BLOCK_VERSIONS.includes(Number(block.version || 1))) {
+        return { passed: false, detail: `Unsupported block version ${block.version}` };
+    }
+    const calculatedHash = CryptoUtils.calculateHash(CryptoUtils.buildHashInput(block));
+    return CryptoUtils.timeSafeEqual(calculatedHash, block.block_hash || '')
+        ? { passed: true }
+        : { passed: false, detail: `Hash mismatch: calculated ${calculatedHash}, stored ${block.block_hash}` };
+}
+
+// L'hash deve essere inferiore al target della difficoltà dichiarata (vedi CryptoUtils.meetsDifficulty)
+function checkProofOfWork(block) {
+    const bits = getDifficultyBits(block);
+    return CryptoUtils.meetsDifficulty(block.block_hash, bits)
+        ? { passed: true }
+        : { passed: false, detail: `Hash does not start with ${bits} zero bits` };
+}
+
+// La difficoltà dichiarata (e verificata da checkProofOfWork) deve essere quella richiesta dalla catena in quel punto
+// (in bit, vedi consensus.getRequiredDifficulty): un miner non può abbassarla né alzarla per i blocchi successivi.
+// null = regola non applicata. I blocchi precedenti alla versione DIFFICULTY_RETARGET_VERSION ne sono esenti solo
+// se estendono un blocco anch'esso precedente: non possono aprire una catena né seguire un blocco soggetto alla regola,
+// altrimenti basterebbe dichiarare una versione vecchia per minare con difficoltà arbitraria
+function checkDifficulty(block, requiredDifficulty, previousBlock = null) {
+    if (requiredDifficulty === null || requiredDifficulty === undefined) {
+        return { passed: true };
+    }
+    if (!isRetargetedBlock(block)) {
+        if (previousBlock && !isRetargetedBlock(previousBlock)) {
+            return { passed: true };
+        }
+        return {
+            passed: false,
+            detail: `Block version ${block.version} predates difficulty retargeting and cannot ` +
+                (previousBlock ? `extend a version ${previousBlock.version} block` : 'start a chain')
+        };
+    }
+    const bits = getDifficultyBits(block);
+    return bits === requiredDifficulty
+        ? { passed: true }
+        : { passed: false, detail: `Difficulty of ${bits} bits does not match the required ${requiredDifficulty} bits` };
+}
+
+// Altezza, previous_hash e versione rispetto al predecessore (null per il genesis o se mancante)
+function checkChainIntegrity(block, previousBlock) {
+    const blockNumber = BigInt(block.block_number);
+    const referencesGenesis = !block.previous_hash || block.previous_hash === GENESIS_HASH;
+
+    if (!previousBlock) {
+        if (!referencesGenesis) {
+            return { passed: false, detail: `No previous block (#${blockNumber - 1n}) found` };
+        }
+        return blockNumber === 1n
+            ? { passed: true }
+            : { passed: false, detail: `Unexpected block number ${blockNumber}, expected 1` };
+    }
+
+    const expectedNumber = BigInt(previousBlock.block_number) + 1n;
+    if (blockNumber !== expectedNumber) {
+        return { passed: false, detail: `Unexpected block number ${blockNumber}, expected ${expectedNumber}` };
+    }
+    if (!CryptoUtils.timeSafeEqual(block.previous_hash || '', previousBlock.block_hash || '')) {
+        return { passed: false, detail: `Previous hash mismatch: expected ${previousBlock.block_hash}, got ${block.previous_hash}` };
+    }
+    if (Number(block.version || 1) < Number(previousBlock.version || 1)) {
+        return { passed: false, detail: `Block version ${block.version} is older than its parent's (${previousBlock.version})` };
+    }
+    return { passed: true };
+}
+
+// Median time past: mediana dei created_at degli ultimi MEDIAN_TIME_SPAN antenati (in ms), null per il genesis.
+// previousTimestamps: created_at degli antenati in ordine di altezza (vengono usati solo gli ultimi MEDIAN_TIME_SPAN)
+function getMedianTimePast(previousTimestamps) {
+    const times = (previousTimestamps || [])
+        .slice(-MEDIAN_TIME_SPAN)
+        .map(timestamp => new Date(timestamp).getTime())
+        .sort((a, b) => a - b);
+    return times.length > 0 ? times[Math.floor(times.length / 2)] : null;
+}
+
+// created_at è parte dell'header: deve superare la median time past degli antenati (un miner non può retrodatare
+// il blocco) e non può superare di MAX_FUTURE_BLOCK_TIME_MS l'orologio di chi valida (now)
+function checkTimestamp(block, medianTimePast, now = Date.now()) {
+    const createdAt = new Date(block.created_at).getTime();
+    if (Number.isNaN(createdAt)) {
+        return { passed: false, detail: `Invalid timestamp ${block.created_at}` };
+    }
+    if (createdAt > now + MAX_FUTURE_BLOCK_TIME_MS) {
+        return { passed: false, detail: `Timestamp ${new Date(createdAt).toISOString()} is too far in the future` };
+    }
+    if (medianTimePast !== null && medianTimePast !== undefined && createdAt <= medianTimePast) {
+        return {
+            passed: false,
+            detail: `Timestamp ${new Date(createdAt).toISOString()} is not after the median time past ${new Date(medianTimePast).toISOString()}`
+        };
+    }
+    return { passed: true };
+}
+
+// publicKeyPem: chiave del creator attivo, null se il creator non esiste o è disattivato
+function checkSignature(block, publicKeyPem) {
+    if (!block.creator_id) {
+        return { passed: false, detail: 'Block has no creator' }; // Un blocco senza creator non può avere firma valida
+    }
+    if (!publicKeyPem) {
+        return { passed: false, detail: `Creator ${block.creator_id} not found or inactive` };
+    }
+    // La firma è sull'hash del blocco o, dalla versione 5, sull'impegno sul payload (vedi CryptoUtils.buildSigningInput)
+    return CryptoUtils.verifySignature(publicKeyPem, CryptoUtils.buildSigningInput(block), block.signature)
+        ? { passed: true }
+        : { passed: false, detail: 'Signature does not match the creator public key' };
+}
+
+// Blocchi la cui firma copre solo il payload e non la posizione nella catena (versione PAYLOAD_SIGNATURE_VERSION)
+function hasPayloadSignature(block) {
+    return Number(block.version || 1) >= PAYLOAD_SIGNATURE_VERSION;
+}
+
+// La firma di un blocco versione 5 resta valida su qualsiasi genitore: senza questa regola chiunque potrebbe
+// reinserire un payload firmato in un altro blocco. payloadInChain: true se un blocco precedente della stessa catena
+// (anch'esso con firma sul payload) ha la stessa Merkle root; null = regola non applicata
+function checkUniquePayload(block, payloadInChain) {
+    if (!hasPayloadSignature(block) || !payloadInChain) {
+        return { passed: true };
+    }
+    return { passed: false, detail: `Payload ${block.merkle_root} is already in the chain` };
+}
+
+// Verifica integrità dei dati di ogni record del blocco
+function checkDataIntegrity(block) {
+    const records = getBlockRecords(block);
+    for (const [index, record] of records.entries()) {
+        const detail = checkRecordIntegrity(record);
+        if (detail) {
+            return { passed: false, detail: block.version >= 3 ? `Record ${index}: ${detail}` : detail };
+        }
+    }
+    return { passed: true };
+}
+
+// Ritorna la descrizione del primo problema del record, null se è integro
+function checkRecordIntegrity(record) {
+    // Verifica che le dimensioni dei buffer corrispondano a data_size
+    const actualSize = record.encrypted_data.length +
+                      record.data_iv.length +
+                      record.encrypted_data_key.length;
+
+    // Permetti una piccola variazione dovuta a padding o formattazione
+    const sizeVariance = Math.abs(actualSize - record.data_size);
+
+    // Tolleranza aumentata leggermente per sicurezza, ma 100 è già alta
+    if (sizeVariance > 128) {
+        return `Data size mismatch: declared ${record.data_size}, actual buffer sum ${actualSize}`;
+    }
+
+    // Verifica dimensione IV (AES standard usa 16 bytes)
+    if (record.data_iv.length !== 16) {
+        return `Invalid IV size: ${record.data_iv.length}, expected 16`;
+    }
+
+    // Verifica dimensione chiave crittografata (dipende dall'algoritmo, qui assumiamo RSA-2048)
+    const expectedKeySize = 256; // Per RSA 2048
+    if (record.encrypted_data_key.length !== expectedKeySize) {
+        logger.warn(`Invalid encrypted key size: ${record.encrypted_data_key.length}, expected ${expectedKeySize} for RSA-2048`);
+        // Solo un warning: non blocca la verifica se si supportano diverse key sizes
+    }
+
+    // Verifica che i buffer non siano vuoti
+    if (record.encrypted_data.length < 16) {
+        return `Encrypted data buffer too small to contain auth tag (${record.encrypted_data.length} bytes)`;
+    }
+
+    return null;
+}
+
+const RULES = {
+    merkle_root: (block) => checkMerkleRoot(block),
+    hash: (block) => checkHash(block),
+    proof_of_work: (block) => checkProofOfWork(block),
+    difficulty: (block, { requiredDifficulty, previousBlock }) => checkDifficulty(block, requiredDifficulty, previousBlock),
+    chain_integrity: (block, { previousBlock }) => checkChainIntegrity(block, previousBlock),
+    timestamp: (block, { medianTimePast, now }) => checkTimestamp(block, medianTimePast, now),
+    signature: (block, { publicKeyPem }) => checkSignature(block, publicKeyPem),
+    unique_payload: (block, { payloadInChain }) => checkUniquePayload(block, payloadInChain),
+    data_integrity: (block) => checkDataIntegrity(block),
+};
+
+// Esegue i controlli indicati (tutti per default) e ritorna { valid, reason, checks }: checks contiene l'esito
+// di ogni controllo ({ check, passed, detail }), reason il dettaglio del primo fallito.
+// medianTimePast e requiredDifficulty sono calcolati dal chiamante sugli antenati (vedi getAncestorRules),
+// payloadInChain sulla catena che termina con il genitore. Un'eccezione fa fallire solo il proprio controllo.
+function runBlockChecks(block, {
+    previousBlock = null, medianTimePast = null, requiredDifficulty = null, publicKeyPem = null, payloadInChain = null,
+    now = Date.now()
+} = {}, checkNames = VERIFICATION_CHECKS) {
+    const context = { previousBlock, medianTimePast, requiredDifficulty, publicKeyPem, payloadInChain, now };
+    const checks = [];
+    for (const check of checkNames) {
+        if (check === 'merkle_root' && !(Number(block.version) >= 3)) continue;
+        let outcome;
+        try {
+            outcome = RULES[check](block, context);
+        } catch (error) {
+            outcome = { passed: false, detail: `Verification error: ${error.message}` };
+        }
+        checks.push({ check, passed: outcome.passed, detail: outcome.detail || null });
+    }
+
+    const failed = checks.find(check => !check.passed);
+    return { valid: !failed, reason: failed ? failed.detail : null, checks };
+}
+
+// Regole che dipendono dagli antenati (in ordine di altezza, il genitore per ultimo; bastano gli ultimi ANCESTOR_DEPTH)
+function getAncestorRules(ancestors) {
+    return {
+        medianTimePast: getMedianTimePast(ancestors.map(ancestor => ancestor.created_at)),
+        requiredDifficulty: getRequiredDifficulty(ancestors)
+    };
+}
+
+// Verifica hash e Proof-of-Work di un blocco, senza bisogno del predecessore. Ritorna { valid, reason }
+function validateBlockHash(block) {
+    const { valid, reason } = runBlockChecks(block, {}, HEADER_CHECKS);
+    return { valid, reason };
+}
+
+// Verifica un nuovo blocco rispetto ai suoi antenati (in ordine di altezza, il genitore per ultimo; vuoto per il
+// genesis) con le stesse regole del verifier. payloadInChain: vedi checkUniquePayload.
+// Ritorna { valid, reason } senza lanciare eccezioni
+function validateBlock(block, ancestors, publicKeyPem, payloadInChain = null) {
+    if (!block || !block.block_hash || !block.block_number || block.nonce === undefined || block.nonce === null) {
+        return { valid: false, reason: 'Missing essential fields (hash, number, nonce)' };
+    }
+    const { valid, reason } = runBlockChecks(block, {
+        previousBlock: ancestors[ancestors.length - 1] || null,
+        ...getAncestorRules(ancestors),
+        publicKeyPem,
+        payloadInChain
+    });
+    return { valid, reason };
+}
+
+// Verifica un'intera catena a partire dal genesis
+// publicKeys: Map creator_id -> public_key_pem
+function validateChain(chain, publicKeys) {
+    const payloads = new Set(); // Merkle root dei blocchi con firma sul payload già validati
+    for (let i = 0; i < chain.length; i++) {
+        const block = chain[i];
+        const ancestors = chain.slice(Math.max(0, i - ANCESTOR_DEPTH), i);
+        const result = validateBlock(block, ancestors, publicKeys.get(block.creator_id), payloads.has(block.merkle_root));
+        if (!result.valid) {
+            return { valid: false, reason: `Block #${block.block_number}: ${result.reason}`, index: i };
+        }
+        if (hasPayloadSignature(block)) payloads.add(block.merkle_root);
+    }
+    return { valid: true };
+}
+
+module.exports = {
+    VERIFICATION_CHECKS,
+    ANCESTOR_DEPTH,
+    checkMerkleRoot,
+    checkHash,
+    checkProofOfWork,
+    checkDifficulty,
+    checkChainIntegrity,
+    getMedianTimePast,
+    checkTimestamp,
+    checkSignature,
+    hasPayloadSignature,
+    checkUniquePayload,
+    checkDataIntegrity,
+    checkRecordIntegrity,
+    runBlockChecks,
+    getAncestorRules,
+    validateBlockHash,
+    validateBlock,
+    validateChain
+};
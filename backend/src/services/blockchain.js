@@ -1,29 +1,182 @@
 const { pool } = require('../database/db');
+const CryptoUtils = require('../utils/cryptoUtils');
 const logger = require('../utils/logger');
+const { GENESIS_HASH, TARGET_BLOCK_TIME_MS, DIFFICULTY_RETARGET_WINDOW } = require('../config');
+const { BlockValidationError, ConflictError } = require('../utils/errors');
+const { calculateChainWork, getRequiredDifficulty, getNextRetargetHeight } = require('./consensus');
+const { ANCESTOR_DEPTH, validateBlock, hasPayloadSignature } = require('./blockValidation');
+
+// Converte un blocco ricevuto da API (Buffer) o da P2P (oggetto { type: 'Buffer', data: [...] }) nel formato per il DB
+function toDbBlock(block) {
+    const toBuffer = (value) => value?.data ? Buffer.from(value.data) : Buffer.from(value || []);
+    const version = Number(block.version || 1);
+    // Dalla versione 3 il payload è nei record; prima è nelle colonne del blocco
+    const records = version >= 3
+        ? (Array.isArray(block.records) ? block.records : []).map(record => ({
+            encrypted_data: toBuffer(record.encrypted_data),
+            data_iv: toBuffer(record.data_iv),
+            encrypted_data_key: toBuffer(record.encrypted_data_key),
+            data_size: record.data_size
+        }))
+        : null;
+    return {
+        ...block,
+        block_id: block.block_id || crypto.randomUUID(), // Genera UUID se manca
+        block_number: block.block_number?.toString(),
+        nonce: block.nonce?.toString(),
+        encrypted_data: records ? null : toBuffer(block.encrypted_data),
+        data_iv: records ? null : toBuffer(block.data_iv),
+        encrypted_data_key: records ? null : toBuffer(block.encrypted_data_key),
+        signature: toBuffer(block.signature),
+        records,
+        record_count: records ? records.length : 1,
+        merkle_root: records ? block.merkle_root || null : null,
+        // Gestione di campi opzionali con default
+        previous_hash: block.previous_hash || null, // Permetti null per genesis o mancante
+        data_size: block.data_size || 0,
+        mining_duration_ms: block.mining_duration_ms || null,
+        mining_attempts: block.mining_attempts?.toString() || null, // BIGINT: stringa come nonce
+        created_at: block.created_at || new Date(), // Usa data corrente se manca
+        difficulty: block.difficulty || 0,
+        version, // Formato dell'header usato per l'hash
+        creator_id: block.creator_id || null,
+        origin_node_id: block.origin_node_id || null // Nodo P2P che ha creato/annunciato il blocco
+    };
+}
+
+// Header di un blocco: tutti i campi tranne il payload crittografato e la firma
+function toHeader(block) {
+    return {
+        version: Number(block.version || 1),
+        block_number: block.block_number?.toString(),
+        block_hash: block.block_hash,
+        previous_hash: block.previous_hash || null,
+        nonce: block.nonce?.toString(),
+        difficulty: block.difficulty,
+        created_at: block.created_at,
+        creator_id: block.creator_id,
+        merkle_root: block.merkle_root || null,
+        record_count: block.record_count,
+        data_size: block.data_size
+    };
+}
+
+// Converte una riga letta dal DB nel formato in memoria (records: record del blocco, solo dalla versione 3)
+function fromDbRow(block, records = null) {
+    const isRecordBlock = Number(block.version) >= 3;
+    const toBuffer = (value) => value ? Buffer.from(value) : (isRecordBlock ? null : Buffer.alloc(0));
+    return {
+        ...block,
+        encrypted_data: toBuffer(block.encrypted_data),
+        data_iv: toBuffer(block.data_iv),
+        encrypted_data_key: toBuffer(block.encrypted_data_key),
+        signature: block.signature ? Buffer.from(block.signature) : Buffer.alloc(0),
+        records: isRecordBlock ? records || [] : null,
+        // Rende il block_number una stringa per coerenza con BigInt JS
+        block_number: block.block_number?.toString() ?? '0', // Usa ?? per fornire un default
+        nonce: block.nonce?.toString() ?? '0' // Gestisce anche nonce null/undefined
+    };
+}
+
+// Colonne comuni a blockchain.blocks e blockchain.side_blocks (elencate anche in blockchain.demote_blocks_after, vedi db.js)
+const BLOCK_COLUMNS = `block_id, block_number, creator_id, previous_hash, block_hash,
+            nonce, difficulty, encrypted_data, data_iv, encrypted_data_key,
+            data_size, signature, created_at, mining_duration_ms, origin_node_id, version,
+            merkle_root, record_count, mining_attempts`;
+
+// Inserisce un blocco già convertito con toDbBlock (e i suoi record) usando il client fornito
+// (table: 'blocks' per la catena principale, 'side_blocks' per i rami laterali)
+async function insertBlock(client, block, table = 'blocks') {
+    const result = await client.query(
+        `INSERT INTO blockchain.${table} (
+            ${BLOCK_COLUMNS}
+         ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19
+         ) ON CONFLICT (block_hash) DO NOTHING`,
+        [
+            block.block_id, block.block_number, block.creator_id,
+            block.previous_hash, block.block_hash, block.nonce,
+            block.difficulty, block.encrypted_data, block.data_iv,
+            block.encrypted_data_key, block.data_size, block.signature,
+            block.created_at, block.mining_duration_ms, block.origin_node_id, block.version,
+            block.merkle_root, block.record_count, block.mining_attempts
+        ]
+    );
+
+    // I record sono legati all'hash del blocco: restano al loro posto quando il blocco cambia tabella
+    for (const [index, record] of (block.records || []).entries()) {
+        await client.query(
+            `INSERT INTO blockchain.block_records (
+                block_hash, record_index, record_hash, encrypted_data, data_iv, encrypted_data_key, data_size
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (block_hash, record_index) DO NOTHING`,
+            [
+                block.block_hash, index, CryptoUtils.calculateRecordHash(record),
+                record.encrypted_data, record.data_iv, record.encrypted_data_key, record.data_size
+            ]
+        );
+    }
+    return result;
+}
+
+// Inserisce blocco e record in un'unica transazione
+async function storeBlock(block, table = 'blocks') {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await insertBlock(client, block, table);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
 
 class Blockchain {
     constructor() {
         this.chain = [];
+        this.sideBlocks = new Map(); // block_hash -> blocco valido fuori dalla catena principale
+        this.payloads = new Map(); // merkle_root -> block_number dei blocchi con firma sul payload nella catena principale
+        this.lock = Promise.resolve();
+    }
+
+    // Le modifiche alla catena sono eseguite una alla volta: validazione e inserimento devono vedere la stessa punta
+    withLock(fn) {
+        const run = this.lock.then(fn, fn);
+        this.lock = run.catch(() => {});
+        return run;
     }
 
     async loadChainFromDB() {
         try {
             // Ordinamento esplicito per block_number per garantire l'ordine della catena
             const { rows } = await pool.query('SELECT * FROM blockchain.blocks ORDER BY block_number ASC');
+            const { rows: sideRows } = await pool.query('SELECT * FROM blockchain.side_blocks ORDER BY block_number ASC');
+            const { rows: recordRows } = await pool.query(
+                `SELECT block_hash, record_index, record_hash, encrypted_data, data_iv, encrypted_data_key, data_size
+                 FROM blockchain.block_records ORDER BY block_hash, record_index ASC`
+            );
+
+            const recordsByBlock = new Map();
+            for (const record of recordRows) {
+                if (!recordsByBlock.has(record.block_hash)) recordsByBlock.set(record.block_hash, []);
+                recordsByBlock.get(record.block_hash).push({
+                    ...record,
+                    encrypted_data: Buffer.from(record.encrypted_data),
+                    data_iv: Buffer.from(record.data_iv),
+                    encrypted_data_key: Buffer.from(record.encrypted_data_key)
+                });
+            }
 
             // Converte i campi Buffer da bytea a Buffer in memoria
-            this.chain = rows.map(block => ({
-                ...block,
-                encrypted_data: block.encrypted_data ? Buffer.from(block.encrypted_data) : Buffer.alloc(0),
-                data_iv: block.data_iv ? Buffer.from(block.data_iv) : Buffer.alloc(0),
-                encrypted_data_key: block.encrypted_data_key ? Buffer.from(block.encrypted_data_key) : Buffer.alloc(0),
-                signature: block.signature ? Buffer.from(block.signature) : Buffer.alloc(0),
-                // Rende il block_number una stringa per coerenza con BigInt JS
-                block_number: block.block_number?.toString() ?? '0', // Usa ?? per fornire un default
-                nonce: block.nonce?.toString() ?? '0' // Gestisce anche nonce null/undefined
-            }));
-
-            logger.info(`Blockchain loaded from local DB with ${this.chain.length} blocks.`);
+            this.chain = rows.map(row => fromDbRow(row, recordsByBlock.get(row.block_hash)));
+            this.sideBlocks = new Map(sideRows.map(row => [row.block_hash, fromDbRow(row, recordsByBlock.get(row.block_hash))]));
+            this.payloads = new Map(this.chain.filter(hasPayloadSignature).map(block => [block.merkle_root, block.block_number]));
+
+            logger.info(`Blockchain loaded from local DB with ${this.chain.length} blocks (${this.sideBlocks.size} side-chain blocks).`);
         } catch (error) {
             logger.error('Could not load chain from DB.', { error: error.message, stack: error.stack }); // Logga come errore
             this.chain = []; // Resetta la catena in caso di errore di caricamento
@@ -38,52 +191,184 @@ class Blockchain {
         return null;
     }
 
-    // Funzione per aggiungere un blocco, sia esso creato localmente o ricevuto da P2P
-    async addBlock(block) {
-        // Logica per convertire i campi necessari in Buffer
-        // Gestisce i casi in cui il blocco proviene da API (già Buffer) vs P2P (oggetto { type: 'Buffer', data: [...] })
-        const blockToInsert = {
-            ...block,
-            block_number: block.block_number?.toString(), 
-            nonce: block.nonce?.toString(),             
-            encrypted_data: block.encrypted_data?.data ? Buffer.from(block.encrypted_data.data) : Buffer.from(block.encrypted_data || []),
-            data_iv: block.data_iv?.data ? Buffer.from(block.data_iv.data) : Buffer.from(block.data_iv || []),
-            encrypted_data_key: block.encrypted_data_key?.data ? Buffer.from(block.encrypted_data_key.data) : Buffer.from(block.encrypted_data_key || []),
-            signature: block.signature?.data ? Buffer.from(block.signature.data) : Buffer.from(block.signature || []),
-            // Gestione di campi opzionali con default
-            previous_hash: block.previous_hash || null, // Permetti null per genesis o mancante
-            data_size: block.data_size || 0,
-            mining_duration_ms: block.mining_duration_ms || null,
-            created_at: block.created_at || new Date(), // Usa data corrente se manca
-            difficulty: block.difficulty || 0, // Aggiungi un default se manca
-            creator_id: block.creator_id || null // Permetti null se manca
+    // Cerca un blocco per hash nella catena principale o nei rami laterali
+    findBlock(blockHash) {
+        return this.chain.find(block => block.block_hash === blockHash) || this.sideBlocks.get(blockHash) || null;
+    }
+
+    hasBlock(blockHash) {
+        return this.findBlock(blockHash) !== null;
+    }
+
+    // Stato sintetico della catena locale, scambiato con i peer all'avvio della sincronizzazione
+    getStatus() {
+        const tip = this.chain[this.chain.length - 1];
+        return {
+            height: this.chain.length,
+            tip_hash: tip ? tip.block_hash : null,
+            total_work: calculateChainWork(this.chain).toString()
         };
+    }
+
+    // Block locator: hash degli ultimi 10 blocchi, poi a passi esponenziali fino al genesis
+    getLocator() {
+        const locator = [];
+        let step = 1;
+        for (let i = this.chain.length - 1; i >= 0; i -= step) {
+            locator.push(this.chain[i].block_hash);
+            if (locator.length >= 10) step *= 2;
+        }
+        if (this.chain.length > 0 && locator[locator.length - 1] !== this.chain[0].block_hash) {
+            locator.push(this.chain[0].block_hash);
+        }
+        return locator;
+    }
+
+    // Header dei blocchi successivi al primo hash del locator presente nella catena locale
+    // (dal genesis se nessun hash è noto)
+    getHeadersAfterLocator(locator, limit) {
+        const known = new Set(Array.isArray(locator) ? locator : []);
+        let startIndex = 0;
+        for (let i = this.chain.length - 1; i >= 0; i--) {
+            if (known.has(this.chain[i].block_hash)) {
+                startIndex = i + 1;
+                break;
+            }
+        }
+        return this.chain.slice(startIndex, startIndex + limit).map(toHeader);
+    }
+
+    // Blocchi completi (con payload) richiesti per hash, nell'ordine della richiesta (anche dai rami laterali)
+    getBlocksByHash(hashes, limit) {
+        return (Array.isArray(hashes) ? hashes : [])
+            .slice(0, limit)
+            .map(hash => this.findBlock(hash))
+            .filter(Boolean);
+    }
+
+    // Ultimi ANCESTOR_DEPTH antenati di un nuovo blocco, dal più vecchio al genitore (vuoto per il genesis).
+    // Risale i previous_hash, quindi vale anche per i genitori in un ramo laterale.
+    getAncestors(parent) {
+        const ancestors = [];
+        for (let block = parent; block && ancestors.length < ANCESTOR_DEPTH; block = this.findBlock(block.previous_hash)) {
+            ancestors.unshift(block);
+        }
+        return ancestors;
+    }
+
+    // Difficoltà richiesta al prossimo blocco sulla punta (usata dai template di mining)
+    getNextDifficulty() {
+        return getRequiredDifficulty(this.chain.slice(-ANCESTOR_DEPTH));
+    }
 
-        // Validate essential fields before DB call
-        if (!blockToInsert.block_hash || !blockToInsert.block_number || !blockToInsert.nonce) {
-            logger.error('Attempted to add block with missing essential fields (hash, number, nonce)', { blockId: blockToInsert.block_id });
+    // Stato della regolazione della difficoltà sulla punta attuale (statistiche della dashboard)
+    getDifficultyStatus() {
+        const window = this.chain.slice(-DIFFICULTY_RETARGET_WINDOW);
+        const windowTime = window.length > 1
+            ? new Date(window[window.length - 1].created_at).getTime() - new Date(window[0].created_at).getTime()
+            : null;
+        return {
+            next_difficulty: this.getNextDifficulty(),
+            next_retarget_height: getNextRetargetHeight(this.chain.length + 1),
+            retarget_window: DIFFICULTY_RETARGET_WINDOW,
+            target_block_time_ms: TARGET_BLOCK_TIME_MS,
+            recent_block_time_ms: windowTime !== null ? Math.round(windowTime / (window.length - 1)) : null
+        };
+    }
+
+    // Vero se la catena che termina con parent contiene già un blocco con firma sul payload con questa Merkle root
+    // (vedi checkUniquePayload). Risale l'eventuale ramo laterale fino alla catena principale, poi usa l'indice dei payload.
+    isPayloadInChain(merkleRoot, parent) {
+        let block = parent;
+        for (; block && this.sideBlocks.has(block.block_hash); block = this.findBlock(block.previous_hash)) {
+            if (hasPayloadSignature(block) && block.merkle_root === merkleRoot) return true;
+        }
+        const height = this.payloads.get(merkleRoot);
+        return Boolean(block) && height !== undefined && BigInt(height) <= BigInt(block.block_number);
+    }
+
+    // Payload già nella catena principale: commit e mining delegato lo rifiutano prima di minare o validare il blocco
+    containsPayload(merkleRoot) {
+        return this.payloads.has(merkleRoot);
+    }
+
+    // Recupera le chiavi pubbliche dei creator indicati (Map creator_id -> public_key_pem)
+    async getCreatorPublicKeys(creatorIds) {
+        const ids = [...new Set(creatorIds.filter(Boolean))];
+        if (ids.length === 0) return new Map();
+        const { rows } = await pool.query(
+            'SELECT creator_id, public_key_pem FROM blockchain.creators WHERE creator_id = ANY($1::uuid[]) AND is_active = true',
+            [ids]
+        );
+        return new Map(rows.map(row => [row.creator_id, row.public_key_pem]));
+    }
+
+    // Pipeline di validazione di un nuovo blocco rispetto al suo genitore (commit API e P2P).
+    // Il genitore può essere la punta, un blocco più vecchio o un blocco di un ramo laterale (fork).
+    // Ritorna il genitore (null per il genesis); lancia BlockValidationError con il motivo del rifiuto.
+    async validateNewBlock(block) {
+        const referencesGenesis = !block.previous_hash || block.previous_hash === GENESIS_HASH;
+        const parent = referencesGenesis ? null : this.findBlock(block.previous_hash);
+
+        let reason = null;
+        if (!referencesGenesis && !parent) {
+            reason = 'Unknown parent block';
+        } else if (referencesGenesis && this.chain.length > 0) {
+            reason = 'Genesis block already exists';
+        } else {
+            const publicKeys = await this.getCreatorPublicKeys([block.creator_id]);
+            const payloadInChain = this.isPayloadInChain(block.merkle_root, parent);
+            reason = validateBlock(block, this.getAncestors(parent), publicKeys.get(block.creator_id), payloadInChain).reason || null;
+        }
+
+        if (reason) {
+            logger.warn(`Block #${block.block_number} (Hash: ...${String(block.block_hash).slice(-6)}) rejected: ${reason}`);
+            throw new BlockValidationError(`Block rejected: ${reason}`, reason);
+        }
+        return parent;
+    }
+
+    // Funzione per aggiungere un blocco, sia esso creato localmente o ricevuto da P2P.
+    // Un blocco che non estende la punta viene salvato in un ramo laterale (ed eventualmente provoca una riorganizzazione).
+    // Ritorna true se salvato, false se già presente o in caso di errore DB; lancia BlockValidationError se non valido.
+    addBlock(block) {
+        return this.withLock(() => this.validateAndInsert(block));
+    }
+
+    // Commit di un blocco minato da un client: il genitore incluso nell'hash deve essere ancora la punta,
+    // altrimenti ConflictError (409) con la nuova punta, così il client può richiedere un nuovo template
+    commitBlock(block) {
+        return this.withLock(() => {
+            const tip = this.chain[this.chain.length - 1] || null;
+            const parentHash = block.previous_hash && block.previous_hash !== GENESIS_HASH ? block.previous_hash : null;
+            if ((tip ? tip.block_hash : null) !== parentHash) {
+                logger.warn(`Block commit rejected: parent ...${String(parentHash).slice(-6)} is no longer the chain tip.`);
+                throw new ConflictError('The chain tip has changed since the block was mined', {
+                    reason: 'STALE_PARENT',
+                    tip: tip ? { block_number: tip.block_number, block_hash: tip.block_hash } : null
+                });
+            }
+            return this.validateAndInsert(block);
+        });
+    }
+
+    async validateAndInsert(block) {
+        const blockToInsert = toDbBlock(block);
+
+        if (this.hasBlock(blockToInsert.block_hash)) {
+            logger.info(`Block #${blockToInsert.block_number} (Hash: ...${blockToInsert.block_hash.slice(-6)}) already in chain. No action taken.`);
             return false;
         }
-        if (blockToInsert.block_id === undefined) blockToInsert.block_id = crypto.randomUUID(); // Genera UUID se manca
 
+        // Nessun blocco viene scritto (né ri-trasmesso) senza aver superato la validazione
+        const parent = await this.validateNewBlock(blockToInsert);
+        const tip = this.chain[this.chain.length - 1] || null;
+        if (parent !== tip) {
+            return this.addSideBlock(blockToInsert);
+        }
 
         try {
-            const { rowCount } = await pool.query(
-                `INSERT INTO blockchain.blocks (
-                    block_id, block_number, creator_id, previous_hash, block_hash,
-                    nonce, difficulty, encrypted_data, data_iv, encrypted_data_key,
-                    data_size, signature, created_at, mining_duration_ms
-                 ) VALUES (
-                    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
-                 ) ON CONFLICT (block_hash) DO NOTHING`,
-                [
-                    blockToInsert.block_id, blockToInsert.block_number, blockToInsert.creator_id,
-                    blockToInsert.previous_hash, blockToInsert.block_hash, blockToInsert.nonce,
-                    blockToInsert.difficulty, blockToInsert.encrypted_data, blockToInsert.data_iv,
-                    blockToInsert.encrypted_data_key, blockToInsert.data_size, blockToInsert.signature,
-                    blockToInsert.created_at, blockToInsert.mining_duration_ms
-                ]
-            );
+            const { rowCount } = await storeBlock(blockToInsert);
 
             if (rowCount > 0) {
                 logger.info(`Block #${blockToInsert.block_number} (Hash: ...${blockToInsert.block_hash.slice(-6)}) inserted into DB.`);
@@ -114,74 +399,92 @@ class Blockchain {
         }
     }
 
-    // Funzione per sostituire l'intera catena (necessaria per la sincronizzazione iniziale o in caso di forking)
-    async replaceChain(newChain) {
-        if (!Array.isArray(newChain) || newChain.length <= this.chain.length) {
-            logger.debug('Received chain is not longer than current chain or is invalid. Ignoring.');
-            return; // Non fare nulla se la catena ricevuta non è valida o non è più lunga
+    // Salva un blocco valido che non estende la punta e, se il suo ramo ha più lavoro cumulativo
+    // della catena principale a partire dal fork, lo rende la catena principale
+    async addSideBlock(block) {
+        try {
+            await storeBlock(block, 'side_blocks');
+        } catch (error) {
+            logger.error(`Failed to store side-chain block #${block.block_number}`, { error: error.message, code: error.code });
+            return false;
+        }
+        this.sideBlocks.set(block.block_hash, block);
+        logger.info(`Block #${block.block_number} (Hash: ...${block.block_hash.slice(-6)}) stored in a side chain.`);
+
+        // Risale il ramo laterale fino al primo antenato nella catena principale
+        const branch = [block];
+        while (this.sideBlocks.has(branch[0].previous_hash)) {
+            branch.unshift(this.sideBlocks.get(branch[0].previous_hash));
+        }
+        const ancestorIndex = this.chain.findIndex(b => b.block_hash === branch[0].previous_hash);
+        if (ancestorIndex === -1) {
+            logger.warn(`Side chain of block #${block.block_number} does not connect to the main chain.`);
+            return true;
         }
 
-        logger.info(`Received a longer chain with ${newChain.length} blocks. Verifying and replacing local chain...`);
+        // Ogni blocco del ramo è stato validato rispetto al proprio genitore al momento del salvataggio
+        const branchWork = calculateChainWork(branch);
+        const mainWork = calculateChainWork(this.chain.slice(ancestorIndex + 1));
+        if (branchWork <= mainWork) {
+            return true;
+        }
+        logger.info(`Side chain ending at #${block.block_number} has more work (${branchWork} > ${mainWork}). Reorganizing.`);
+        await this.reorganize(ancestorIndex + 1, branch);
+        return true;
+    }
+
+    // Riorganizzazione atomica: i blocchi della catena principale successivi all'antenato comune passano
+    // nei rami laterali, quelli del nuovo ramo (già validati) nella catena principale. Nulla viene cancellato
+    // e ogni riorganizzazione è registrata in audit.events come REORG con la vecchia e la nuova punta e gli hash
+    // dei blocchi spostati.
+    async reorganize(ancestorNumber, branch) {
+        const oldTip = this.chain[this.chain.length - 1] || null;
+        const newTip = branch[branch.length - 1];
+        const disconnected = this.chain.slice(ancestorNumber);
 
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
-            // Usare DELETE invece di TRUNCATE per evitare problemi con RESTART IDENTITY in alcuni casi
-            await client.query('DELETE FROM blockchain.blocks');
-            logger.info('Local blockchain table cleared for chain replacement.');
-
-            for (const block of newChain) {
-                // Conversione da oggetto JSON P2P a Buffer/tipi corretti per il DB
-                 const blockBuffer = {
-                    ...block,
-                    block_number: block.block_number?.toString(),
-                    nonce: block.nonce?.toString(),
-                    encrypted_data: Buffer.from(block.encrypted_data?.data || []), // Gestisce P2P format
-                    data_iv: Buffer.from(block.data_iv?.data || []),
-                    encrypted_data_key: Buffer.from(block.encrypted_data_key?.data || []),
-                    signature: Buffer.from(block.signature?.data || []),
-                    previous_hash: block.previous_hash || null,
-                    data_size: block.data_size || 0,
-                    mining_duration_ms: block.mining_duration_ms || null,
-                    created_at: block.created_at || new Date(),
-                    difficulty: block.difficulty || 0,
-                    creator_id: block.creator_id || null,
-                    block_id: block.block_id || crypto.randomUUID() // Assicura un block_id
-                };
-
-                await client.query(
-                    `INSERT INTO blockchain.blocks (
-                        block_id, block_number, creator_id, previous_hash, block_hash,
-                        nonce, difficulty, encrypted_data, data_iv, encrypted_data_key,
-                        data_size, signature, created_at, mining_duration_ms, verified, verified_at
-                     ) VALUES (
-                        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
-                     )`, 
-                    [
-                        blockBuffer.block_id, blockBuffer.block_number, blockBuffer.creator_id,
-                        blockBuffer.previous_hash, blockBuffer.block_hash, blockBuffer.nonce,
-                        blockBuffer.difficulty, blockBuffer.encrypted_data, blockBuffer.data_iv,
-                        blockBuffer.encrypted_data_key, blockBuffer.data_size, blockBuffer.signature,
-                        blockBuffer.created_at, blockBuffer.mining_duration_ms,
-                        blockBuffer.verified || false, // Default a false se non specificato
-                        blockBuffer.verified_at || null // Default a null
-                    ]
-                );
+
+            // 1. Il ramo principale abbandonato diventa un ramo laterale: solo questa funzione può togliere blocchi
+            // da blockchain.blocks (vedi trigger prevent_blockchain_tampering)
+            await client.query('SELECT blockchain.demote_blocks_after($1)', [ancestorNumber]);
+
+            // 2. Il nuovo ramo entra nella catena principale
+            for (const block of branch) {
+                await insertBlock(client, block);
             }
+            await client.query('DELETE FROM blockchain.side_blocks WHERE block_hash = ANY($1)', [branch.map(b => b.block_hash)]);
+
+            // 3. Traccia della riorganizzazione per l'audit
+            await client.query(
+                `INSERT INTO audit.events (block_id, block_hash, event_type, event_data)
+                 VALUES ((SELECT block_id FROM blockchain.blocks WHERE block_hash = $1), $1, 'REORG', $2)`,
+                [newTip.block_hash, JSON.stringify({
+                    fork_point: ancestorNumber > 0 ? { height: ancestorNumber, hash: this.chain[ancestorNumber - 1].block_hash } : null,
+                    old_tip: oldTip ? { height: oldTip.block_number, hash: oldTip.block_hash } : null,
+                    new_tip: { height: newTip.block_number, hash: newTip.block_hash },
+                    disconnected: disconnected.map(b => b.block_hash),
+                    connected: branch.map(b => b.block_hash),
+                    old_work: calculateChainWork(disconnected).toString(),
+                    new_work: calculateChainWork(branch).toString()
+                })]
+            );
             await client.query('COMMIT');
-            logger.info('Transaction committed. Reloading chain from DB after replacement.');
-            // Ricarica la catena dal DB dopo la sostituzione riuscita
-            await this.loadChainFromDB();
-            logger.info(`Local chain successfully replaced with ${this.chain.length} blocks.`);
+            logger.info(`Reorganization committed: ${disconnected.length} blocks moved to side chains, ${branch.length} blocks connected after #${ancestorNumber}.`);
 
         } catch (error) {
             await client.query('ROLLBACK');
-            logger.error('Failed to replace chain in DB, transaction rolled back.', { error: error.message, stack: error.stack });
-            // Potrebbe essere necessario ricaricare lo stato precedente della catena se il rollback ha successo
-            // await this.loadChainFromDB(); // Ricarica lo stato attuale (potenzialmente vuoto o parziale se TRUNCATE è stato usato)
+            logger.error('Failed to reorganize chain in DB, transaction rolled back.', { error: error.message, stack: error.stack });
+            return false;
         } finally {
             client.release();
         }
+
+        // Ricarica catena principale e rami laterali dal DB dopo la riorganizzazione riuscita
+        await this.loadChainFromDB();
+        logger.info(`Local chain reorganized. New length: ${this.chain.length}`);
+        return true;
     }
 }
 
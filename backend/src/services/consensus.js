@@ -0,0 +1,71 @@
+// Regole di consenso condivise: difficoltà richiesta e lavoro cumulativo per la scelta della catena
+// (le regole di validità dei blocchi sono in blockValidation.js)
+
+const {
+    DIFFICULTY_BITS, TARGET_BLOCK_TIME_MS, DIFFICULTY_RETARGET_WINDOW, DIFFICULTY_RETARGET_VERSION, MAX_DIFFICULTY_STEP,
+    MIN_DIFFICULTY, MAX_DIFFICULTY
+} = require('../config');
+
+// Difficoltà di un blocco in bit a zero iniziali dell'hash. Fino alla versione 3 dell'header la difficoltà
+// era il numero di cifre esadecimali a zero (4 bit ciascuna): i blocchi storici restano verificabili.
+function getDifficultyBits(block) {
+    const difficulty = Number(block.difficulty);
+    return Number(block.version || 1) >= 4 ? difficulty : difficulty * 4;
+}
+
+// La regolazione si applica ai blocchi dalla versione DIFFICULTY_RETARGET_VERSION dell'header
+function isRetargetedBlock(block) {
+    return Number(block.version || 1) >= DIFFICULTY_RETARGET_VERSION;
+}
+
+// Difficoltà in bit richiesta al blocco successivo all'ultimo di ancestors (antenati in ordine di altezza, il genitore
+// per ultimo; servono almeno gli ultimi DIFFICULTY_RETARGET_WINDOW). Il valore dell'ultima regolazione resta in
+// vigore fino alla successiva: un blocco soggetto alla regola dichiara esattamente la difficoltà richiesta
+// (vedi checkDifficulty), quindi è quella del genitore; un genitore precedente alla regola (o il genesis) riparte
+// da DIFFICULTY_BITS. Le altezze 1 + k * DIFFICULTY_RETARGET_WINDOW confrontano il tempo impiegato dalla finestra
+// appena chiusa con quello atteso: ogni bit raddoppia il lavoro, quindi si aggiungono (o tolgono)
+// log2(atteso / impiegato) bit, al massimo MAX_DIFFICULTY_STEP per regolazione.
+function getRequiredDifficulty(ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+    if (!parent) {
+        return DIFFICULTY_BITS;
+    }
+    const current = isRetargetedBlock(parent) ? getDifficultyBits(parent) : DIFFICULTY_BITS;
+    const height = BigInt(parent.block_number) + 1n;
+    const window = ancestors.slice(-DIFFICULTY_RETARGET_WINDOW);
+    if ((height - 1n) % BigInt(DIFFICULTY_RETARGET_WINDOW) !== 0n || window.length < DIFFICULTY_RETARGET_WINDOW) {
+        return current;
+    }
+
+    const actualTime = new Date(parent.created_at).getTime() - new Date(window[0].created_at).getTime();
+    const expectedTime = (DIFFICULTY_RETARGET_WINDOW - 1) * TARGET_BLOCK_TIME_MS;
+    const adjustment = Math.round(Math.log2(expectedTime / Math.max(actualTime, 1)));
+    const step = Math.max(-MAX_DIFFICULTY_STEP, Math.min(MAX_DIFFICULTY_STEP, adjustment));
+    return Math.max(MIN_DIFFICULTY, Math.min(MAX_DIFFICULTY, current + step));
+}
+
+// Prima altezza, a partire da quella indicata, a cui la difficoltà viene ricalcolata
+function getNextRetargetHeight(height) {
+    const window = BigInt(DIFFICULTY_RETARGET_WINDOW);
+    const completedWindows = (BigInt(height) - 2n) / window + 1n; // Il genesis (altezza 1) non chiude finestre
+    return (BigInt(height) <= window ? window + 1n : completedWindows * window + 1n).toString();
+}
+
+// Lavoro associato a un singolo blocco: 2^bit di difficoltà, i tentativi attesi (BigInt per evitare overflow)
+function calculateBlockWork(block) {
+    return 2n ** BigInt(getDifficultyBits(block) || 0);
+}
+
+// Lavoro cumulativo di una sequenza di blocchi
+function calculateChainWork(blocks) {
+    return blocks.reduce((total, block) => total + calculateBlockWork(block), 0n);
+}
+
+module.exports = {
+    getDifficultyBits,
+    isRetargetedBlock,
+    getRequiredDifficulty,
+    getNextRetargetHeight,
+    calculateBlockWork,
+    calculateChainWork
+};
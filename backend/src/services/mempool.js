@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { BLOCK_TEMPLATE_TTL_MS, MEMPOOL_MAX_SIZE } = require('../config');
+
+// Pool delle sottomissioni in corso: ogni client che inizia a minare riceve un template che riserva
+// genitore e altezza del blocco. Il template resta 'reserved' durante il mining e passa a 'submitted'
+// quando il blocco minato viene inviato a /blocks/commit, finché il commit non termina.
+class Mempool {
+    constructor({ ttlMs = BLOCK_TEMPLATE_TTL_MS, maxSize = MEMPOOL_MAX_SIZE } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxSize = maxSize;
+        this.templates = new Map(); // template_id -> template
+    }
+
+    // Crea un template che estende la punta indicata (null se la catena è vuota)
+    createTemplate({ creatorId, tip, difficulty, version }) {
+        this.prune();
+        if (this.templates.size >= this.maxSize) {
+            const [oldestId] = this.templates.keys(); // La Map conserva l'ordine di inserimento
+            logger.warn(`Mempool full (${this.maxSize}). Dropping oldest block template ${oldestId}.`);
+            this.templates.delete(oldestId);
+        }
+
+        const now = Date.now();
+        const template = {
+            template_id: crypto.randomUUID(),
+            version,
+            creator_id: creatorId,
+            previous_hash: tip ? tip.block_hash : null,
+            block_number: tip ? (BigInt(tip.block_number) + 1n).toString() : '1',
+            difficulty,
+            status: 'reserved',
+            issued_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.ttlMs).toISOString(),
+        };
+        this.templates.set(template.template_id, template);
+        return template;
+    }
+
+    // Segna il template come in fase di commit; null se sconosciuto, scaduto, di un altro creator o già inviato
+    claim(templateId, creatorId) {
+        this.prune();
+        const template = this.templates.get(templateId);
+        if (!template || template.creator_id !== creatorId || template.status !== 'reserved') {
+            return null;
+        }
+        template.status = 'submitted';
+        return template;
+    }
+
+    // Il commit è terminato (con successo o meno): il template non serve più
+    release(templateId) {
+        this.templates.delete(templateId);
+    }
+
+    // Sottomissioni in corso; 'stale' indica i template il cui genitore non è più la punta
+    list(tipHash) {
+        this.prune();
+        return [...this.templates.values()].map(template => ({
+            ...template,
+            stale: template.previous_hash !== tipHash,
+        }));
+    }
+
+    prune(now = Date.now()) {
+        for (const [templateId, template] of this.templates) {
+            if (Date.parse(template.expires_at) < now) {
+                this.templates.delete(templateId);
+            }
+        }
+    }
+}
+
+module.exports = Mempool;
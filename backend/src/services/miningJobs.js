@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const { pool } = require('../database/db');
+const logger = require('../utils/logger');
+const { BLOCK_VERSION, MINING_TIMEOUT_MS, MINING_JOBS_PER_CREATOR, MINING_JOB_MAX_RETRIES } = require('../config');
+const CryptoUtils = require('../utils/cryptoUtils');
+const {
+    AuthorizationError, BlockValidationError, ConflictError, NotFoundError, ServiceUnavailableError, TooManyRequestsError
+} = require('../utils/errors');
+const { runBlockChecks } = require('./blockValidation');
+const { decodeRecords } = require('./blockRecords');
+
+// Controlli che non dipendono dalla posizione nella catena: un job che li fallisce non potrebbe mai essere aggiunto
+const SUBMISSION_CHECKS = ['merkle_root', 'signature', 'data_integrity'];
+const JOB_COLUMNS = `job_id, status, creator_id, version, merkle_root, record_count, data_size, retries, block_id, block_hash,
+    block_number, nonce, difficulty, mining_duration_ms, mining_attempts, error, created_at, started_at, finished_at`;
+const LIST_LIMIT = 50;
+
+const encodeRecords = (records) => records.map(record => ({
+    encrypted_data_hex: record.encrypted_data.toString('hex'),
+    data_iv_hex: record.data_iv.toString('hex'),
+    encrypted_data_key_hex: record.encrypted_data_key.toString('hex'),
+    data_size: record.data_size,
+}));
+
+// Mining delegato per i client poco potenti. Il client invia i record già cifrati e la firma del creator sulla loro
+// Merkle root (blocco versione 5, vedi CryptoUtils.buildSigningInput): chiave privata e dati in chiaro restano nel
+// browser. Il nodo sceglie genitore, timestamp e difficoltà quando il job parte, trova il nonce con MiningPool
+// (al massimo timeoutMs per tentativo) e aggiunge il blocco alla catena come un commit di /blocks/commit.
+//
+// I job sono salvati in blockchain.mining_jobs ed eseguiti uno alla volta in ordine di invio.
+// Stati: queued -> mining -> committed | failed | cancelled (anche queued -> cancelled).
+// Se la punta avanza durante il mining il job viene minato di nuovo sulla nuova punta (al massimo maxRetries volte).
+// Ogni creator può avere al massimo maxJobsPerCreator job in coda o in mining.
+class MiningJobs {
+    constructor({
+        blockchain, p2pServer, miningPool, timeoutMs = MINING_TIMEOUT_MS,
+        maxJobsPerCreator = MINING_JOBS_PER_CREATOR, maxRetries = MINING_JOB_MAX_RETRIES
+    }) {
+        this.blockchain = blockchain;
+        this.p2pServer = p2pServer;
+        this.miningPool = miningPool;
+        this.timeoutMs = timeoutMs;
+        this.maxJobsPerCreator = maxJobsPerCreator;
+        this.maxRetries = maxRetries;
+        this.queue = []; // Job in coda con i record decodificati, in ordine di invio
+        this.current = null; // { job, abortController, done }: job in mining
+        this.processing = false;
+    }
+
+    get enabled() {
+        return this.miningPool.size > 0;
+    }
+
+    // Rimette in coda i job rimasti in sospeso alla chiusura del nodo: quelli in mining ripartono da capo.
+    // Con il mining delegato disabilitato non verrebbero mai eseguiti (e resterebbero nel limite per creator): falliscono
+    async init() {
+        if (!this.enabled) {
+            const { rowCount } = await pool.query(`
+                UPDATE blockchain.mining_jobs
+                SET status = 'failed', records = NULL, error = 'Delegated mining is disabled on this node', finished_at = NOW()
+                WHERE status IN ('queued', 'mining')
+            `);
+            if (rowCount > 0) {
+                logger.warn(`Delegated mining is disabled: ${rowCount} pending mining jobs marked as failed.`);
+            }
+            return;
+        }
+        await pool.query(`UPDATE blockchain.mining_jobs SET status = 'queued', started_at = NULL WHERE status = 'mining'`);
+        const { rows } = await pool.query(`
+            SELECT job_id, creator_id, version, merkle_root, records, signature, data_size, retries
+            FROM blockchain.mining_jobs
+            WHERE status = 'queued'
+            ORDER BY created_at
+        `);
+        this.queue = rows.map(row => ({
+            job_id: row.job_id,
+            block: {
+                creator_id: row.creator_id,
+                version: row.version,
+                merkle_root: row.merkle_root,
+                records: decodeRecords(row.records),
+                signature: row.signature,
+            },
+            data_size: row.data_size,
+            retries: row.retries,
+        }));
+        if (this.queue.length > 0) {
+            logger.info(`Resuming ${this.queue.length} queued mining jobs.`);
+            this.processQueue();
+        }
+    }
+
+    // block: { creator_id, merkle_root, records (Buffer), signature }; ritorna il job in stato 'queued'
+    async submit(block) {
+        if (!this.enabled) {
+            throw new ServiceUnavailableError('Delegated mining is disabled on this node');
+        }
+        const publicKeys = await this.blockchain.getCreatorPublicKeys([block.creator_id]);
+        if (!publicKeys.has(block.creator_id)) {
+            throw new NotFoundError('Creator specified in the block not found or inactive');
+        }
+        const candidate = { ...block, version: BLOCK_VERSION };
+        const { valid, reason } = runBlockChecks(candidate, { publicKeyPem: publicKeys.get(block.creator_id) }, SUBMISSION_CHECKS);
+        if (!valid) {
+            throw new BlockValidationError(`Block rejected: ${reason}`, reason);
+        }
+        const pending = [...this.queue, this.current?.job].filter(Boolean);
+        if (pending.some(job => job.block.merkle_root === block.merkle_root) || this.blockchain.containsPayload(block.merkle_root)) {
+            throw new ConflictError('Block payload is already in the chain or queued for mining', { reason: 'DUPLICATE_PAYLOAD' });
+        }
+
+        const job = {
+            job_id: crypto.randomUUID(),
+            block: candidate,
+            data_size: block.records.reduce((total, record) => total + record.data_size, 0),
+            retries: 0,
+        };
+        // Il limite per creator è verificato nello stesso INSERT, così due richieste contemporanee non lo superano;
+        // lo stesso payload inviato due volte insieme viola l'indice idx_mining_jobs_active_payload
+        let rowCount;
+        try {
+            ({ rowCount } = await pool.query(`
+                INSERT INTO blockchain.mining_jobs (job_id, creator_id, version, merkle_root, records, record_count, data_size, signature)
+                SELECT $1, $2, $3, $4, $5, $6, $7, $8
+                WHERE (
+                    SELECT COUNT(*) FROM blockchain.mining_jobs WHERE creator_id = $2 AND status IN ('queued', 'mining')
+                ) < $9
+            `, [
+                job.job_id, candidate.creator_id, candidate.version, candidate.merkle_root, JSON.stringify(encodeRecords(candidate.records)),
+                candidate.records.length, job.data_size, candidate.signature, this.maxJobsPerCreator
+            ]));
+        } catch (error) {
+            if (error.code === '23505') { // PostgreSQL unique violation: payload già in coda o in mining
+                throw new ConflictError('Block payload is already in the chain or queued for mining', { reason: 'DUPLICATE_PAYLOAD' });
+            }
+            throw error;
+        }
+        if (rowCount === 0) {
+            throw new TooManyRequestsError(
+                `Creator already has ${this.maxJobsPerCreator} mining jobs queued or in progress`,
+                { reason: 'CREATOR_JOB_LIMIT', limit: this.maxJobsPerCreator }
+            );
+        }
+
+        this.queue.push(job);
+        logger.info(`Mining job ${job.job_id} queued for creator ${candidate.creator_id} (${this.queue.length} in queue).`);
+        const response = await this.get(job.job_id);
+        this.processQueue();
+        return response;
+    }
+
+    async get(jobId) {
+        const { rows } = await pool.query(`SELECT ${JOB_COLUMNS} FROM blockchain.mining_jobs WHERE job_id = $1`, [jobId]);
+        return rows.length > 0 ? this.toResponse(rows[0]) : null;
+    }
+
+    // Job più recenti, eventualmente di un solo creator e/o in un solo stato. L'elenco non riporta gli id dei job:
+    // li conosce solo chi li ha inviati (risposta di submit)
+    async list({ creatorId = null, status = null } = {}) {
+        const { rows } = await pool.query(`
+            SELECT ${JOB_COLUMNS}
+            FROM blockchain.mining_jobs
+            WHERE ($1::uuid IS NULL OR creator_id = $1) AND ($2::blockchain.mining_job_status IS NULL OR status = $2)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `, [creatorId, status, LIST_LIMIT]);
+        return rows.map(row => {
+            const { job_id: jobId, ...job } = this.toResponse(row);
+            return job;
+        });
+    }
+
+    // Annulla un job in coda o in mining e ritorna il suo stato finale. Solo il creator può annullarlo: signature è
+    // la sua firma su CryptoUtils.buildCancelJobInput(jobId). Un job il cui blocco è già minato
+    // al momento dell'annullamento viene comunque aggiunto alla catena (stato 'committed').
+    async cancel(jobId, signature) {
+        const job = await this.get(jobId);
+        if (!job) {
+            throw new NotFoundError('Mining job not found');
+        }
+        const publicKeys = await this.blockchain.getCreatorPublicKeys([job.creator_id]);
+        const publicKeyPem = publicKeys.get(job.creator_id);
+        if (!publicKeyPem || !CryptoUtils.verifySignature(publicKeyPem, CryptoUtils.buildCancelJobInput(jobId), signature)) {
+            throw new AuthorizationError('Only the creator of the mining job can cancel it');
+        }
+
+        const queued = this.queue.find(job => job.job_id === jobId);
+        if (queued) {
+            this.queue = this.queue.filter(job => job !== queued);
+            await this.finish(queued, 'cancelled');
+            logger.info(`Mining job ${jobId} cancelled while queued.`);
+        } else if (this.current?.job.job_id === jobId) {
+            this.current.abortController.abort();
+            await this.current.done;
+        } else {
+            throw new ConflictError(`Mining job already ${job.status}`, { reason: 'JOB_FINISHED', status: job.status });
+        }
+        return this.get(jobId);
+    }
+
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+        try {
+            while (this.queue.length > 0) {
+                const job = this.queue.shift();
+                const abortController = new AbortController();
+                const done = this.run(job, abortController.signal)
+                    .catch(error => logger.error(`Mining job ${job.job_id} could not be updated`, { error: error.message }));
+                this.current = { job, abortController, done };
+                await done;
+                this.current = null;
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async run(job, signal) {
+        await pool.query(`UPDATE blockchain.mining_jobs SET status = 'mining', started_at = NOW() WHERE job_id = $1`, [job.job_id]);
+        try {
+            for (;;) {
+                try {
+                    const block = await this.mineOnTip(job, signal);
+                    await this.finish(job, 'committed', block);
+                    logger.info(`Mining job ${job.job_id} committed block #${block.block_number} (${block.mining_attempts} attempts in ${block.mining_duration_ms} ms).`);
+                    return;
+                } catch (error) {
+                    // La punta è avanzata mentre si minava: lo stesso payload viene minato sulla nuova punta
+                    if (error.details?.reason !== 'STALE_PARENT' || job.retries >= this.maxRetries || signal.aborted) {
+                        throw error;
+                    }
+                    job.retries++;
+                    await pool.query('UPDATE blockchain.mining_jobs SET retries = $2 WHERE job_id = $1', [job.job_id, job.retries]);
+                    logger.info(`Mining job ${job.job_id}: chain tip moved during mining, retrying (${job.retries}/${this.maxRetries}).`);
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                await this.finish(job, 'cancelled');
+                logger.info(`Mining job ${job.job_id} cancelled during mining.`);
+            } else {
+                await this.finish(job, 'failed', null, error.message);
+                logger.warn(`Mining job ${job.job_id} failed: ${error.message}`);
+            }
+        }
+    }
+
+    // Mina il payload del job sulla punta attuale e lo aggiunge alla catena. Ritorna il blocco aggiunto;
+    // ConflictError con motivo STALE_PARENT se la punta è cambiata durante il mining
+    async mineOnTip(job, signal) {
+        const { creator_id: creatorId, merkle_root: merkleRoot } = job.block;
+        // Il payload può essere stato aggiunto da un altro nodo (o da un commit del browser) mentre il job era in coda
+        if (this.blockchain.containsPayload(merkleRoot)) {
+            throw new ConflictError('Block payload is already in the chain', { reason: 'DUPLICATE_PAYLOAD' });
+        }
+        const tip = await this.blockchain.getLatestBlock();
+        const header = {
+            version: job.block.version,
+            block_number: tip ? (BigInt(tip.block_number) + 1n).toString() : '1',
+            previous_hash: tip ? tip.block_hash : null,
+            merkle_root: merkleRoot,
+            created_at: new Date(),
+            creator_id: creatorId,
+            difficulty: this.blockchain.getNextDifficulty(),
+        };
+        const result = await this.miningPool.mine(header, { timeoutMs: this.timeoutMs, signal });
+
+        const block = {
+            ...job.block,
+            ...header,
+            block_id: crypto.randomUUID(),
+            block_hash: result.hash,
+            nonce: result.nonce,
+            data_size: job.data_size,
+            mining_duration_ms: result.duration,
+            mining_attempts: result.attempts.toString(),
+            origin_node_id: this.p2pServer.nodeId, // Questo nodo è l'origine del blocco
+        };
+        // Valida come un commit del browser
+        const added = await this.blockchain.commitBlock(block);
+        logger.performance.logMiningOperation(creatorId, result.duration, result.attempts, added);
+        if (!added) {
+            throw new ConflictError('Mined block could not be added to the chain');
+        }
+        this.p2pServer.broadcastBlock(block);
+        return block;
+    }
+
+    // Stato finale del job; i record cifrati non servono più (quelli di un blocco aggiunto sono in block_records)
+    finish(job, status, block = null, error = null) {
+        return pool.query(`
+            UPDATE blockchain.mining_jobs
+            SET status = $2, records = NULL, block_id = $3, block_hash = $4, block_number = $5, nonce = $6, difficulty = $7,
+                mining_duration_ms = $8, mining_attempts = $9, error = $10, finished_at = NOW()
+            WHERE job_id = $1
+        `, [
+            job.job_id, status, block?.block_id ?? null, block?.block_hash ?? null, block?.block_number ?? null, block?.nonce ?? null,
+            block?.difficulty ?? null, block?.mining_duration_ms ?? null, block?.mining_attempts ?? null, error
+        ]);
+    }
+
+    // Stato del job per le API (senza i record cifrati)
+    toResponse(row) {
+        const queueIndex = this.queue.findIndex(job => job.job_id === row.job_id);
+        return {
+            job_id: row.job_id,
+            status: row.status,
+            creator_id: row.creator_id,
+            merkle_root: row.merkle_root,
+            record_count: row.record_count,
+            data_size: row.data_size,
+            retries: row.retries,
+            queue_position: row.status === 'queued' && queueIndex >= 0 ? queueIndex + 1 : null,
+            result: row.status === 'committed' ? {
+                block_id: row.block_id,
+                version: row.version,
+                block_hash: row.block_hash,
+                block_number: row.block_number.toString(),
+                nonce: row.nonce.toString(),
+                difficulty: row.difficulty,
+                mining_duration_ms: row.mining_duration_ms,
+                mining_attempts: row.mining_attempts.toString(),
+                data_size: row.data_size,
+            } : null,
+            error: row.error,
+            created_at: row.created_at,
+            started_at: row.started_at,
+            finished_at: row.finished_at,
+        };
+    }
+}
+
+module.exports = MiningJobs;
@@ -0,0 +1,151 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const CryptoUtils = require('../utils/cryptoUtils');
+const logger = require('../utils/logger');
+const { MiningError } = require('../utils/errors');
+const { MAX_NONCE } = require('../config');
+const { getDifficultyBits } = require('./consensus');
+
+const WORKER_SCRIPT = path.join(__dirname, 'miningWorker.js');
+// Nonce per intervallo: un worker si accorge della fine del job solo tra un intervallo e l'altro
+const RANGE_SIZE = 100000;
+const NONCE_PLACEHOLDER = '\u0000nonce\u0000';
+
+const abortError = () => Object.assign(new Error('Mining cancelled'), { name: 'AbortError' });
+
+// Pool di worker_threads per il mining delegato (vedi MiningJobs). Mina un header alla volta usando tutti
+// i worker: lo spazio dei nonce è diviso in intervalli di RANGE_SIZE assegnati ai worker man mano che si liberano.
+// I worker sono creati al primo job.
+class MiningPool {
+    constructor(size) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = []; // Job in attesa che il pool si liberi
+        this.current = null;
+        this.nextJobId = 1;
+        this.stopped = false;
+    }
+
+    // header: campi di CryptoUtils.buildHashInput senza nonce. Risolve con { nonce, hash, attempts, duration };
+    // rifiuta con MiningError allo scadere di timeoutMs (dall'inizio del mining) e con AbortError se signal è annullato
+    mine(header, { timeoutMs, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+            const [head, tail] = CryptoUtils.buildHashInput({ ...header, nonce: NONCE_PLACEHOLDER }).split(NONCE_PLACEHOLDER);
+            const job = { id: this.nextJobId++, head, tail, difficultyBits: getDifficultyBits(header), timeoutMs, signal, resolve, reject };
+            job.onAbort = () => {
+                if (this.current === job) {
+                    this.finish(job, abortError());
+                } else if (this.queue.includes(job)) {
+                    this.queue = this.queue.filter(queued => queued !== job);
+                    reject(abortError());
+                }
+            };
+            signal?.addEventListener('abort', job.onAbort, { once: true });
+            this.queue.push(job);
+            this.startNext();
+        });
+    }
+
+    startNext() {
+        if (this.current || this.queue.length === 0) return;
+        const job = this.queue.shift();
+        this.current = job;
+        job.startedAt = Date.now();
+        job.attempts = 0;
+        job.nextNonce = 1;
+        job.timer = setTimeout(() => this.finish(job, new MiningError(`Mining timeout exceeded after ${job.timeoutMs} ms`)), job.timeoutMs);
+
+        while (this.workers.length < this.size) {
+            this.idle.push(this.spawn());
+        }
+        // I worker ancora occupati con un job precedente si uniscono quando terminano il loro intervallo
+        this.idle.splice(0).forEach(worker => this.assign(worker));
+    }
+
+    assign(worker) {
+        const job = this.current;
+        if (!job) {
+            this.idle.push(worker);
+            return;
+        }
+        if (job.nextNonce > MAX_NONCE) {
+            this.idle.push(worker);
+            this.finish(job, new MiningError('Nonce space exhausted'));
+            return;
+        }
+        if (worker.jobId !== job.id) {
+            worker.postMessage({ type: 'job', jobId: job.id, head: job.head, tail: job.tail, difficultyBits: job.difficultyBits });
+            worker.jobId = job.id;
+        }
+        const start = job.nextNonce;
+        job.nextNonce = Math.min(start + RANGE_SIZE, MAX_NONCE + 1);
+        worker.postMessage({ type: 'range', jobId: job.id, start, end: job.nextNonce });
+    }
+
+    finish(job, error, result) {
+        if (this.current !== job) return;
+        clearTimeout(job.timer);
+        job.signal?.removeEventListener('abort', job.onAbort);
+        this.current = null;
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+        this.startNext();
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT);
+        worker.jobId = null;
+
+        worker.on('message', (message) => {
+            const job = this.current;
+            // I risultati di un job già terminato (intervallo in corso alla sua fine) vengono ignorati
+            if (job && message.jobId === job.id) {
+                job.attempts += message.attempts;
+                if (message.type === 'found') {
+                    this.finish(job, null, {
+                        nonce: message.nonce.toString(),
+                        hash: message.hash,
+                        attempts: job.attempts,
+                        duration: Date.now() - job.startedAt
+                    });
+                }
+            }
+            this.assign(worker);
+        });
+        worker.on('error', (error) => {
+            logger.error('Mining worker crashed', { error: error.message });
+        });
+        // Un worker terminato viene sostituito se c'è un job in corso; il suo intervallo resta non provato
+        worker.on('exit', (code) => {
+            this.workers = this.workers.filter(w => w !== worker);
+            this.idle = this.idle.filter(w => w !== worker);
+            if (!this.stopped && this.current) {
+                logger.warn(`Mining worker exited with code ${code}, replacing it`);
+                this.assign(this.spawn());
+            }
+        });
+
+        worker.unref(); // Dopo i listener (che riattiverebbero il riferimento): i worker non tengono in vita il processo
+        this.workers.push(worker);
+        return worker;
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.queue.splice(0).forEach(job => job.reject(new MiningError('Mining pool stopped')));
+        if (this.current) {
+            this.finish(this.current, new MiningError('Mining pool stopped'));
+        }
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+    }
+}
+
+module.exports = MiningPool;
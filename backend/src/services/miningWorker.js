@@ -0,0 +1,36 @@
+// Worker di MiningPool: prova gli intervalli di nonce assegnati sull'header del job corrente
+const crypto = require('crypto');
+const { parentPort } = require('worker_threads');
+const CryptoUtils = require('../utils/cryptoUtils');
+
+let job = null; // { jobId, head, tail, difficultyBits }: input dell'hash diviso attorno al nonce
+
+// Equivale a hash < 2^(256 - bits) senza convertire ogni digest in esadecimale
+function hasLeadingZeroBits(digest, bits) {
+    const fullBytes = bits >> 3;
+    for (let i = 0; i < fullBytes; i++) {
+        if (digest[i] !== 0) return false;
+    }
+    const remainingBits = bits & 7;
+    return remainingBits === 0 || (digest[fullBytes] >> (8 - remainingBits)) === 0;
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'job') {
+        job = message;
+        return;
+    }
+
+    const { jobId, start, end } = message; // type 'range': nonce in [start, end)
+    for (let nonce = start; nonce < end; nonce++) {
+        const digest = crypto.createHash('sha256').update(job.head + nonce + job.tail).digest();
+        if (hasLeadingZeroBits(digest, job.difficultyBits)) {
+            const hash = digest.toString('hex');
+            if (CryptoUtils.meetsDifficulty(hash, job.difficultyBits)) {
+                parentPort.postMessage({ type: 'found', jobId, nonce, hash, attempts: nonce - start + 1 });
+                return;
+            }
+        }
+    }
+    parentPort.postMessage({ type: 'range_done', jobId, attempts: end - start });
+});
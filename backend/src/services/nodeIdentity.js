@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../database/db');
+const { NODE_ID, NODE_KEY, NODE_KEY_FILE } = require('../config');
+const CryptoUtils = require('../utils/cryptoUtils');
+const logger = require('../utils/logger');
+
+// Chiave privata Ed25519 del nodo: NODE_KEY (segreto da env) o il file NODE_KEY_FILE, creato al primo avvio con una
+// nuova chiave (la chiave salvata nel DB dalle versioni precedenti è spostata nel file da createSchema, vedi db.js)
+function loadNodeKey() {
+    if (NODE_KEY) {
+        return NODE_KEY;
+    }
+    if (fs.existsSync(NODE_KEY_FILE)) {
+        return fs.readFileSync(NODE_KEY_FILE, 'utf8');
+    }
+
+    const { privateKeyPem } = CryptoUtils.generateNodeKeyPair();
+    fs.mkdirSync(path.dirname(NODE_KEY_FILE), { recursive: true });
+    try {
+        fs.writeFileSync(NODE_KEY_FILE, privateKeyPem, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+        // Un altro servizio dello stesso processo (P2P o verifier) ha creato il file nel frattempo
+        if (error.code !== 'EEXIST') throw error;
+        return fs.readFileSync(NODE_KEY_FILE, 'utf8');
+    }
+    logger.info(`Generated new Ed25519 node key in ${NODE_KEY_FILE}`);
+    return privateKeyPem;
+}
+
+// Carica l'identità persistente del nodo (node id + coppia di chiavi Ed25519), creandola al primo avvio.
+// NODE_ID da env, se impostato, ha la precedenza e viene salvato nel DB. Nel DB è salvata solo la chiave pubblica,
+// ricavata dalla chiave privata (vedi loadNodeKey).
+async function loadNodeIdentity() {
+    if (NODE_ID) {
+        await pool.query('INSERT INTO p2p.node_identity (node_id) VALUES ($1) ON CONFLICT (node_id) DO NOTHING', [NODE_ID]);
+    }
+
+    const { rows } = NODE_ID
+        ? await pool.query('SELECT node_id, public_key FROM p2p.node_identity WHERE node_id = $1', [NODE_ID])
+        : await pool.query('SELECT node_id, public_key FROM p2p.node_identity ORDER BY created_at ASC LIMIT 1');
+
+    let identity = rows[0];
+    if (!identity) {
+        const { rows: created } = await pool.query('INSERT INTO p2p.node_identity DEFAULT VALUES RETURNING node_id');
+        identity = { node_id: created[0].node_id, public_key: null };
+        logger.info(`Generated new node identity ${identity.node_id}`);
+    }
+
+    const privateKeyPem = loadNodeKey();
+    const publicKey = CryptoUtils.getNodePublicKey(privateKeyPem);
+    if (identity.public_key !== publicKey) {
+        if (identity.public_key) {
+            logger.warn(`Node key does not match the public key stored for node ${identity.node_id}: peers that pinned the old key will reject this node`);
+        }
+        await pool.query('UPDATE p2p.node_identity SET public_key = $2 WHERE node_id = $1', [identity.node_id, publicKey]);
+    }
+
+    // La chiave pubblica va aggiunta a TRUSTED_NODE_KEYS sugli altri nodi
+    logger.info(`Node public key: ${publicKey}`);
+    return { node_id: identity.node_id, public_key: publicKey, private_key_pem: privateKeyPem };
+}
+
+module.exports = { loadNodeIdentity };
@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+const { ORPHAN_POOL_MAX_SIZE, ORPHAN_MAX_AGE_MS } = require('../config');
+
+// Blocchi ricevuti dai peer il cui genitore non è ancora noto.
+// Restano in attesa (con limiti di numero ed età) finché il genitore non viene collegato alla catena.
+class OrphanPool {
+    constructor({ maxSize = ORPHAN_POOL_MAX_SIZE, maxAgeMs = ORPHAN_MAX_AGE_MS } = {}) {
+        this.maxSize = maxSize;
+        this.maxAgeMs = maxAgeMs;
+        this.orphans = new Map(); // block_hash -> { block, origin, received_at }
+        this.byParent = new Map(); // previous_hash -> Set di block_hash
+        this.requested = new Map(); // hash dei genitori richiesti ai peer -> timestamp della richiesta
+    }
+
+    get size() {
+        return this.orphans.size;
+    }
+
+    has(blockHash) {
+        return this.orphans.has(blockHash);
+    }
+
+    // Aggiunge un orfano; se il pool è pieno viene scartato il più vecchio. Ritorna false se già presente.
+    add(block, origin = null) {
+        this.prune();
+        if (this.orphans.has(block.block_hash)) return false;
+
+        if (this.orphans.size >= this.maxSize) {
+            const [oldestHash] = this.orphans.keys(); // La Map conserva l'ordine di inserimento
+            logger.warn(`Orphan pool full (${this.maxSize}). Evicting oldest orphan ...${oldestHash.slice(-6)}.`);
+            this.remove(oldestHash);
+        }
+
+        this.orphans.set(block.block_hash, { block, origin, received_at: Date.now() });
+        if (!this.byParent.has(block.previous_hash)) {
+            this.byParent.set(block.previous_hash, new Set());
+        }
+        this.byParent.get(block.previous_hash).add(block.block_hash);
+        return true;
+    }
+
+    remove(blockHash) {
+        const entry = this.orphans.get(blockHash);
+        if (!entry) return;
+        this.orphans.delete(blockHash);
+        const siblings = this.byParent.get(entry.block.previous_hash);
+        siblings?.delete(blockHash);
+        if (siblings?.size === 0) {
+            this.byParent.delete(entry.block.previous_hash);
+        }
+    }
+
+    // Rimuove e ritorna gli orfani che hanno come genitore il blocco indicato
+    takeChildren(parentHash) {
+        const hashes = [...(this.byParent.get(parentHash) || [])];
+        const children = hashes.map(hash => this.orphans.get(hash));
+        hashes.forEach(hash => this.remove(hash));
+        return children;
+    }
+
+    // Registra la richiesta di un genitore mancante; false se è già stata inviata (e non è scaduta)
+    markRequested(parentHash) {
+        this.prune();
+        if (this.requested.has(parentHash)) return false;
+        this.requested.set(parentHash, Date.now());
+        return true;
+    }
+
+    // true se il blocco era un genitore atteso (la richiesta viene consumata)
+    takeRequested(blockHash) {
+        return this.requested.delete(blockHash);
+    }
+
+    // Scarta orfani e richieste più vecchi di maxAgeMs
+    prune(now = Date.now()) {
+        for (const [hash, entry] of this.orphans) {
+            if (now - entry.received_at > this.maxAgeMs) {
+                logger.info(`Dropping expired orphan block ...${hash.slice(-6)}.`);
+                this.remove(hash);
+            }
+        }
+        for (const [hash, requestedAt] of this.requested) {
+            if (now - requestedAt > this.maxAgeMs) {
+                this.requested.delete(hash);
+            }
+        }
+    }
+}
+
+module.exports = OrphanPool;
@@ -1,98 +1,659 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const logger = require('../utils/logger');
-
-const P2P_PORT = process.env.P2P_PORT || 6001;
-const peers = process.env.PEERS ? process.env.PEERS.split(',') : [];
+const CryptoUtils = require('../utils/cryptoUtils');
+const { BlockValidationError } = require('../utils/errors');
+const { calculateChainWork, getDifficultyBits } = require('./consensus');
+const { validateBlockHash } = require('./blockValidation');
+const { loadNodeIdentity } = require('./nodeIdentity');
+const PeerManager = require('./peerManager');
+const OrphanPool = require('./orphanPool');
+const { verifyAttestation, saveAttestation, getRecentAttestations } = require('./attestations');
+const {
+    GENESIS_HASH,
+    P2P_PORT,
+    P2P_ADVERTISED_ADDRESS,
+    P2P_PROTOCOL_VERSION,
+    P2P_HANDSHAKE_TIMEOUT_MS,
+    P2P_HEADERS_BATCH_SIZE,
+    P2P_BLOCKS_BATCH_SIZE,
+    P2P_SYNC_TIMEOUT_MS,
+    P2P_ATTESTATIONS_BATCH_SIZE,
+    ATTESTATION_SYNC_DEPTH,
+    TRUSTED_NODE_KEYS
+} = require('../config');
 
 const MESSAGE_TYPES = {
-    CHAIN: 'CHAIN',
+    HANDSHAKE: 'HANDSHAKE', // Primo messaggio su ogni connessione: node id, chiave pubblica, challenge, versione, genesis, altezza
+    HANDSHAKE_ACK: 'HANDSHAKE_ACK', // Firmato sulla challenge del peer: prova il possesso della chiave privata
+    GET_PEERS: 'GET_PEERS', // Peer-exchange: richiesta degli indirizzi noti
+    PEERS: 'PEERS',
+    STATUS: 'STATUS', // Altezza, hash e lavoro cumulativo della punta della catena
+    GET_HEADERS: 'GET_HEADERS', // Richiesta header a partire da un block locator
+    HEADERS: 'HEADERS',
+    GET_BLOCKS: 'GET_BLOCKS', // Richiesta blocchi completi per hash (request_id, se presente, torna nella risposta)
+    BLOCKS: 'BLOCKS',
     BLOCK: 'BLOCK',
+    ATTESTATIONS: 'ATTESTATIONS', // Attestazioni firmate di blocchi verificati (gossip)
 };
 
 class P2pServer {
     constructor(blockchain) {
         this.blockchain = blockchain;
-        this.sockets = [];
+        this.sockets = []; // Solo connessioni con handshake completato
+        this.nodeId = null;
+        this.identity = null; // { node_id, public_key, private_key_pem }
+        this.sync = null; // Sessione di sincronizzazione attiva (una alla volta)
+        this.orphanPool = new OrphanPool(); // Blocchi in attesa del genitore
+        this.peerManager = new PeerManager({
+            onSocket: (socket, address) => this.connectSocket(socket, address),
+            isNodeConnected: (nodeId) => this.sockets.some(s => s.peer.node_id === nodeId),
+            getConnectionCount: () => this.sockets.length,
+        });
     }
 
-    listen() {
+    async listen() {
+        this.identity = await loadNodeIdentity();
+        this.nodeId = this.identity.node_id;
+        await this.peerManager.load();
+        if (TRUSTED_NODE_KEYS.length === 0) {
+            logger.warn('TRUSTED_NODE_KEYS is empty: any node with a valid key pair can join (keys are pinned on first use).');
+        }
+
         const server = new WebSocket.Server({ port: P2P_PORT });
         server.on('connection', socket => this.connectSocket(socket));
-        this.connectToPeers();
-        logger.info(`P2P server listening for connections on: ${P2P_PORT}`);
+        this.peerManager.connectAll();
+        logger.info(`P2P server listening for connections on: ${P2P_PORT} (node id: ${this.nodeId})`);
     }
 
-    connectToPeers() {
-        peers.forEach(peer => {
-            const socket = new WebSocket(peer); 
-            socket.on('open', () => this.connectSocket(socket));
-            socket.on('error', (err) => {
-                logger.warn(`Failed to connect to peer: ${peer}`, { error: err.message });
-            });
+    // Nuova connessione (in entrata o in uscita): nessun messaggio viene elaborato prima dell'handshake
+    connectSocket(socket, address = null) {
+        socket.peer = null; // Impostato solo a handshake autenticato
+        socket.remote = null; // Dati dell'HANDSHAKE ricevuto (node id, chiave, challenge)
+        socket.address = address;
+        socket.challenge = crypto.randomBytes(32).toString('hex');
+        socket.seqIn = 0;
+        socket.seqOut = 0;
+        this.messageHandler(socket);
+        this.send(socket, {
+            type: MESSAGE_TYPES.HANDSHAKE,
+            node_id: this.nodeId,
+            public_key: this.identity.public_key,
+            challenge: socket.challenge,
+            protocol_version: P2P_PROTOCOL_VERSION,
+            genesis_hash: this.blockchain.chain[0]?.block_hash || null,
+            height: this.blockchain.chain.length,
+            address: P2P_ADVERTISED_ADDRESS,
         });
+        socket.handshakeTimer = setTimeout(() => {
+            if (!socket.peer) {
+                logger.warn('Peer did not complete handshake in time. Closing socket.', { address });
+                socket.close();
+            }
+        }, P2P_HANDSHAKE_TIMEOUT_MS);
     }
 
-    connectSocket(socket) {
+    // Prima fase: controlla identità e compatibilità del peer, poi risponde firmando la sua challenge
+    async handleHandshake(socket, data) {
+        if (socket.remote) return;
+        socket.remoteNodeId = data.node_id;
+
+        const reject = (reason, countsAsFailure = true) => {
+            logger.warn(`Rejecting peer handshake: ${reason}`, { node_id: data.node_id, address: socket.address });
+            // Un peer incompatibile viene ricontattato con backoff crescente, come un peer irraggiungibile
+            if (countsAsFailure && socket.address) {
+                this.peerManager.markFailure(socket.address)
+                    .catch(error => logger.warn('Could not record peer failure', { error: error.message }));
+            }
+            socket.close(4000, reason);
+        };
+
+        if (data.protocol_version !== P2P_PROTOCOL_VERSION) {
+            return reject(`unsupported protocol version ${data.protocol_version}`);
+        }
+        if (!data.node_id || data.node_id === this.nodeId) {
+            // Connessione verso sé stessi (es. il proprio indirizzo ricevuto via peer-exchange)
+            if (socket.address) await this.peerManager.forget(socket.address);
+            return reject('self connection', false);
+        }
+        if (TRUSTED_NODE_KEYS.length > 0 && !TRUSTED_NODE_KEYS.includes(data.public_key)) {
+            logger.security.logSecurityEvent('P2P_UNTRUSTED_NODE', { node_id: data.node_id, address: socket.address });
+            return reject('untrusted node key');
+        }
+        const pinnedKey = await this.peerManager.getPinnedKey(data.node_id);
+        if (pinnedKey && pinnedKey !== data.public_key) {
+            logger.security.logSecurityEvent('P2P_NODE_KEY_MISMATCH', { node_id: data.node_id, address: socket.address });
+            return reject('node key mismatch');
+        }
+        const localGenesis = this.blockchain.chain[0]?.block_hash || null;
+        if (localGenesis && data.genesis_hash && localGenesis !== data.genesis_hash) {
+            return reject('genesis hash mismatch');
+        }
+
+        socket.remote = {
+            node_id: data.node_id,
+            public_key: data.public_key,
+            challenge: data.challenge,
+            address: data.address,
+            height: data.height,
+        };
+        this.send(socket, { type: MESSAGE_TYPES.HANDSHAKE_ACK });
+    }
+
+    // Seconda fase: l'ACK è firmato sulla nostra challenge, quindi il peer possiede la chiave dichiarata
+    async handleHandshakeAck(socket) {
+        if (socket.peer || !socket.remote) return;
+        clearTimeout(socket.handshakeTimer);
+        const data = socket.remote;
+
+        const reject = (reason) => {
+            logger.warn(`Rejecting peer handshake: ${reason}`, { node_id: data.node_id, address: socket.address });
+            socket.close(4000, reason);
+        };
+
+        // De-duplicazione: tra due connessioni verso lo stesso nodo si tiene quella aperta dal nodo con id minore,
+        // così entrambi i lati scelgono la stessa connessione anche se si connettono contemporaneamente
+        const existing = this.sockets.find(s => s.peer.node_id === data.node_id);
+        if (existing) {
+            const initiator = (s) => (s.outbound ? this.nodeId : data.node_id);
+            const keepNew = existing.outbound !== socket.outbound && initiator(socket) < initiator(existing);
+            if (!keepNew) {
+                return reject('duplicate connection');
+            }
+            logger.info(`Replacing duplicate connection to node ${data.node_id}`);
+            this.removeSocket(existing);
+            existing.close(4000, 'duplicate connection');
+        }
+
+        socket.peer = {
+            node_id: data.node_id,
+            public_key: data.public_key,
+            address: PeerManager.isValidAddress(data.address) ? data.address : socket.address,
+            height: data.height,
+        };
         this.sockets.push(socket);
-        logger.info('Socket connected');
-        this.messageHandler(socket);
-        this.sendChain(socket); // Invia la tua catena al nuovo peer
+        logger.info(`Peer connected: node ${data.node_id} (${socket.outbound ? 'outbound' : 'inbound'}, height ${data.height})`);
+
+        // Salva l'indirizzo annunciato (e quello usato per connettersi) nella tabella dei peer
+        for (const address of new Set([socket.address, socket.peer.address].filter(Boolean))) {
+            await this.peerManager.addAddress(address, socket.outbound ? 'exchange' : 'inbound');
+            await this.peerManager.markConnected(address, data.node_id, data.public_key);
+        }
+
+        this.sendStatus(socket); // Annuncia la punta della catena al nuovo peer
+        this.send(socket, { type: MESSAGE_TYPES.GET_PEERS });
+        await this.sendRecentAttestations(socket);
     }
 
-    messageHandler(socket) {
-        socket.on('message', async (message) => {
-            try {
-                const data = JSON.parse(message.toString());
-                logger.info('Received P2P message', { type: data.type });
-
-                switch (data.type) {
-                    case MESSAGE_TYPES.CHAIN:
-                        await this.blockchain.replaceChain(data.chain);
-                        break;
-                    case MESSAGE_TYPES.BLOCK:
-                        const added = await this.blockchain.addBlock(data.block);
-                        if (added) {
-                            // Se abbiamo aggiunto il blocco, lo ri-trasmettiamo per assicurarci che tutti lo ricevano
-                            this.broadcastBlock(data.block);
-                        }
-                        break;
-                }
-            } catch (error) {
-                logger.error('Error handling P2P message', { error: error.message });
+    async handlePeers(addresses) {
+        for (const address of (Array.isArray(addresses) ? addresses : []).slice(0, 100)) {
+            if (await this.peerManager.addAddress(address, 'exchange')) {
+                logger.info(`Discovered new peer via peer-exchange: ${address}`);
+                this.peerManager.connect(address);
             }
-        });
-        
-        socket.on('close', () => {
-            this.sockets = this.sockets.filter(s => s !== socket);
-            logger.info('Socket disconnected');
+        }
+    }
+
+    removeSocket(socket) {
+        this.sockets = this.sockets.filter(s => s !== socket);
+    }
+
+    // Connessione chiusa: se il nodo non è raggiungibile da un'altra connessione si pianifica la riconnessione
+    handleDisconnect(socket) {
+        clearTimeout(socket.handshakeTimer);
+        const wasRegistered = this.sockets.includes(socket);
+        this.removeSocket(socket);
+        this.abortSync(socket, 'peer disconnected');
+
+        const nodeId = socket.peer?.node_id || socket.remoteNodeId;
+        if (wasRegistered) {
+            logger.info(`Peer disconnected: node ${nodeId}`);
+        }
+        const address = socket.address || socket.peer?.address;
+        if (address && !(nodeId && this.sockets.some(s => s.peer.node_id === nodeId))) {
+            this.peerManager.scheduleReconnect(address);
+        }
+    }
+
+    messageHandler(socket) {
+        // I messaggi di una connessione sono elaborati in ordine, uno alla volta (l'handshake dipende dall'ordine)
+        socket.processing = Promise.resolve();
+        socket.on('message', (message) => {
+            socket.processing = socket.processing.then(() => this.handleMessage(socket, message));
         });
 
+        socket.on('close', () => this.handleDisconnect(socket));
+
         socket.on('error', (err) => {
-            this.sockets = this.sockets.filter(s => s !== socket);
             logger.warn('Socket error', { error: err.message });
         });
     }
 
-    sendChain(socket) {
-        socket.send(JSON.stringify({
-            type: MESSAGE_TYPES.CHAIN,
-            chain: this.blockchain.chain,
-        }));
+    async handleMessage(socket, message) {
+        if (socket.readyState !== WebSocket.OPEN) return; // Connessione già rifiutata o in chiusura
+        try {
+            const data = this.openEnvelope(socket, message.toString());
+            if (!data) {
+                logger.security.logSecurityEvent('P2P_INVALID_SIGNATURE', { node_id: socket.remote?.node_id, address: socket.address });
+                return socket.close(4001, 'invalid message signature');
+            }
+            logger.info('Received P2P message', { type: data.type, from: socket.remote?.node_id });
+
+            if (data.type === MESSAGE_TYPES.HANDSHAKE) {
+                return await this.handleHandshake(socket, data);
+            }
+            if (data.type === MESSAGE_TYPES.HANDSHAKE_ACK) {
+                return await this.handleHandshakeAck(socket);
+            }
+            if (!socket.peer) {
+                logger.warn('Ignoring P2P message received before handshake', { type: data.type });
+                return;
+            }
+
+            switch (data.type) {
+                case MESSAGE_TYPES.GET_PEERS:
+                    this.send(socket, { type: MESSAGE_TYPES.PEERS, peers: this.peerManager.getShareableAddresses() });
+                    break;
+                case MESSAGE_TYPES.PEERS:
+                    await this.handlePeers(data.peers);
+                    break;
+                case MESSAGE_TYPES.STATUS:
+                    this.handleStatus(socket, data);
+                    break;
+                case MESSAGE_TYPES.GET_HEADERS:
+                    this.send(socket, {
+                        type: MESSAGE_TYPES.HEADERS,
+                        headers: this.blockchain.getHeadersAfterLocator(data.locator, P2P_HEADERS_BATCH_SIZE),
+                    });
+                    break;
+                case MESSAGE_TYPES.HEADERS:
+                    this.handleHeaders(socket, data.headers);
+                    break;
+                case MESSAGE_TYPES.GET_BLOCKS:
+                    this.send(socket, {
+                        type: MESSAGE_TYPES.BLOCKS,
+                        blocks: this.blockchain.getBlocksByHash(data.hashes, P2P_BLOCKS_BATCH_SIZE),
+                        request_id: data.request_id,
+                    });
+                    break;
+                case MESSAGE_TYPES.BLOCKS:
+                    await this.handleBlocks(socket, data.blocks, data.request_id);
+                    break;
+                case MESSAGE_TYPES.BLOCK:
+                    if (!this.verifyOrigin(socket, data.block, data.origin)) {
+                        logger.warn('Ignoring BLOCK with invalid origin signature', { from: socket.peer.node_id });
+                        break;
+                    }
+                    await this.ingestBlock(socket, data.block, data.origin);
+                    break;
+                case MESSAGE_TYPES.ATTESTATIONS:
+                    await this.handleAttestations(socket, data.attestations);
+                    break;
+            }
+        } catch (error) {
+            logger.error('Error handling P2P message', { error: error.message });
+        }
+    }
+
+    // Ogni messaggio è firmato con la chiave del nodo. Il corpo include un numero di sequenza e la challenge
+    // del destinatario (assente solo nell'HANDSHAKE), così un messaggio non può essere riutilizzato su un'altra connessione
+    send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            const body = JSON.stringify({
+                ...message,
+                seq: ++socket.seqOut,
+                session: message.type === MESSAGE_TYPES.HANDSHAKE ? null : socket.remote.challenge,
+            });
+            const signature = CryptoUtils.signWithNodeKey(this.identity.private_key_pem, body);
+            socket.send(JSON.stringify({ body, signature }));
+        }
+    }
+
+    // Verifica firma, sessione e sequenza di un messaggio ricevuto; ritorna il messaggio o null se non valido
+    openEnvelope(socket, raw) {
+        const { body, signature } = JSON.parse(raw);
+        if (typeof body !== 'string' || typeof signature !== 'string') return null;
+
+        const data = JSON.parse(body);
+        const isHandshake = data.type === MESSAGE_TYPES.HANDSHAKE;
+        const publicKey = isHandshake ? data.public_key : socket.remote?.public_key;
+        if (typeof publicKey !== 'string' || !CryptoUtils.verifyNodeSignature(publicKey, body, signature)) return null;
+
+        if (data.session !== (isHandshake ? null : socket.challenge)) return null;
+        if (data.seq !== socket.seqIn + 1) return null;
+        socket.seqIn = data.seq;
+        return data;
+    }
+
+    // Il nodo che ha creato il blocco firma il suo hash: l'origine resta verificabile anche dopo il re-broadcast
+    createOrigin(block) {
+        return {
+            node_id: this.nodeId,
+            public_key: this.identity.public_key,
+            signature: CryptoUtils.signWithNodeKey(this.identity.private_key_pem, block.block_hash),
+        };
+    }
+
+    verifyOrigin(socket, block, origin) {
+        if (!block || !origin || !origin.node_id || typeof origin.public_key !== 'string' || typeof origin.signature !== 'string') {
+            return false;
+        }
+        if (TRUSTED_NODE_KEYS.length > 0 && !TRUSTED_NODE_KEYS.includes(origin.public_key)) return false;
+        if (origin.node_id === socket.peer.node_id && origin.public_key !== socket.peer.public_key) return false;
+        return CryptoUtils.verifyNodeSignature(origin.public_key, block.block_hash, origin.signature);
+    }
+
+    // --- Blocchi ricevuti e pool degli orfani ---
+
+    // Un blocco con genitore sconosciuto resta nel pool degli orfani e il genitore viene richiesto al peer
+    // che lo ha inviato; altrimenti il blocco viene validato, aggiunto e gli orfani che ne dipendono collegati
+    async ingestBlock(socket, block, origin = null) {
+        const referencesGenesis = !block.previous_hash || block.previous_hash === GENESIS_HASH;
+        if (!referencesGenesis && !this.blockchain.hasBlock(block.previous_hash)) {
+            return this.holdOrphan(socket, block, origin);
+        }
+        if (await this.tryAddBlock(socket, block, origin)) {
+            await this.connectOrphans(block.block_hash);
+        }
+    }
+
+    holdOrphan(socket, block, origin) {
+        // Senza il genitore si possono verificare solo hash e Proof-of-Work, ma bastano a scartare blocchi falsi
+        const hashCheck = validateBlockHash(block);
+        if (!hashCheck.valid) {
+            logger.warn('Rejected invalid orphan block received from peer', { from: socket.peer.node_id, reason: hashCheck.reason });
+            return;
+        }
+        // Un distacco maggiore della capacità del pool non si colma un genitore alla volta: ci pensa la sincronizzazione
+        if (Number(block.block_number) > this.blockchain.chain.length + this.orphanPool.maxSize) {
+            logger.info(`Ignoring orphan block #${block.block_number}: too far ahead of local height ${this.blockchain.chain.length}.`);
+            return;
+        }
+        if (!this.orphanPool.add(block, origin)) return;
+        logger.info(`Block #${block.block_number} (Hash: ...${block.block_hash.slice(-6)}) has unknown parent. Added to orphan pool (${this.orphanPool.size}).`);
+
+        // Se il genitore è a sua volta un orfano, il suo antenato mancante è già stato richiesto
+        if (!this.orphanPool.has(block.previous_hash) && this.orphanPool.markRequested(block.previous_hash)) {
+            this.send(socket, { type: MESSAGE_TYPES.GET_BLOCKS, hashes: [block.previous_hash] });
+        }
+    }
+
+    // Collega alla catena gli orfani in attesa del blocco indicato, e ricorsivamente i loro discendenti
+    async connectOrphans(parentHash) {
+        const queue = [parentHash];
+        while (queue.length > 0) {
+            for (const { block, origin } of this.orphanPool.takeChildren(queue.shift())) {
+                logger.info(`Parent of orphan block #${block.block_number} arrived. Connecting it to the chain.`);
+                if (await this.tryAddBlock(null, block, origin)) {
+                    queue.push(block.block_hash);
+                }
+            }
+        }
+    }
+
+    async tryAddBlock(socket, block, origin) {
+        let added;
+        try {
+            added = await this.blockchain.addBlock({ ...block, origin_node_id: origin?.node_id || block.origin_node_id });
+        } catch (error) {
+            if (!(error instanceof BlockValidationError)) throw error;
+            // Un blocco non valido non viene mai ri-trasmesso
+            logger.warn('Rejected invalid block received from peer', { from: socket?.peer.node_id, reason: error.details?.reason });
+            return false;
+        }
+        if (added && origin) {
+            // Se abbiamo aggiunto il blocco, lo ri-trasmettiamo (con l'origine originale) per assicurarci che tutti lo ricevano
+            this.broadcastBlock(block, origin);
+        }
+        return added;
+    }
+
+    sendStatus(socket) {
+        this.send(socket, { type: MESSAGE_TYPES.STATUS, ...this.blockchain.getStatus() });
+    }
+
+    // --- Sincronizzazione headers-first ---
+
+    // Avvia una sincronizzazione se il peer dichiara più lavoro cumulativo della catena locale
+    handleStatus(socket, status) {
+        const localWork = BigInt(this.blockchain.getStatus().total_work);
+        let remoteWork;
+        try {
+            remoteWork = BigInt(status.total_work || 0);
+        } catch (error) {
+            logger.warn('Received STATUS with invalid total_work. Ignoring.', { total_work: status.total_work });
+            return;
+        }
+
+        if (remoteWork <= localWork || this.sync) {
+            return;
+        }
+
+        logger.info(`Peer reports more cumulative work (${remoteWork} > ${localWork}, height ${status.height}). Starting headers sync.`);
+        this.sync = { socket, headers: [], forkHeight: null, pending: [], connected: 0, timer: null, requested: null, requestId: null };
+        this.requestHeaders(this.blockchain.getLocator());
+    }
+
+    requestHeaders(locator) {
+        this.touchSync();
+        this.send(this.sync.socket, { type: MESSAGE_TYPES.GET_HEADERS, locator });
+    }
+
+    handleHeaders(socket, headers) {
+        if (!this.sync || this.sync.socket !== socket) return;
+        if (!Array.isArray(headers) || headers.length === 0) {
+            return this.finishHeaders();
+        }
+
+        // Il primo header di una sessione determina il punto di fork con la catena locale
+        let previous = this.sync.headers[this.sync.headers.length - 1];
+        if (!previous) {
+            const first = headers[0];
+            const ancestor = first.previous_hash
+                ? this.blockchain.chain.find(block => block.block_hash === first.previous_hash)
+                : null;
+            if (first.previous_hash && !ancestor) {
+                return this.abortSync(socket, 'headers do not connect to local chain');
+            }
+            this.sync.forkHeight = ancestor ? Number(ancestor.block_number) : 0;
+            previous = ancestor ? { block_hash: ancestor.block_hash, block_number: ancestor.block_number } : null;
+        }
+
+        // Controlli leggeri sugli header: collegamento, altezza e Proof-of-Work
+        for (const header of headers) {
+            const expectedNumber = previous ? BigInt(previous.block_number) + 1n : 1n;
+            const linked = previous ? header.previous_hash === previous.block_hash : !header.previous_hash;
+            const hasWork = CryptoUtils.meetsDifficulty(header.block_hash, getDifficultyBits(header));
+            if (!linked || BigInt(header.block_number) !== expectedNumber || !hasWork) {
+                return this.abortSync(socket, `invalid header #${header.block_number}`);
+            }
+            this.sync.headers.push(header);
+            previous = header;
+        }
+
+        if (headers.length >= P2P_HEADERS_BATCH_SIZE) {
+            return this.requestHeaders([previous.block_hash]);
+        }
+        this.finishHeaders();
     }
-    
-    broadcastBlock(block) {
+
+    // Confronta il lavoro del ramo remoto con quello locale e scarica solo i blocchi mancanti
+    finishHeaders() {
+        const { headers, forkHeight } = this.sync;
+        if (headers.length === 0) {
+            return this.abortSync(this.sync.socket, 'no new headers');
+        }
+
+        const remoteWork = calculateChainWork(headers);
+        const localWork = calculateChainWork(this.blockchain.chain.slice(forkHeight));
+        if (remoteWork <= localWork) {
+            return this.abortSync(this.sync.socket, 'remote branch has no more work than local branch');
+        }
+
+        logger.info(`Downloading ${headers.length} blocks after fork point #${forkHeight}.`);
+        this.sync.pending = headers.map(header => header.block_hash);
+        this.requestNextBlocks();
+    }
+
+    requestNextBlocks() {
+        const hashes = this.sync.pending.splice(0, P2P_BLOCKS_BATCH_SIZE);
+        this.sync.requested = new Set(hashes);
+        // L'id distingue la risposta da quelle alle richieste dei genitori degli orfani, inviate allo stesso peer
+        this.sync.requestId = crypto.randomBytes(8).toString('hex');
+        this.touchSync();
+        this.send(this.sync.socket, { type: MESSAGE_TYPES.GET_BLOCKS, hashes, request_id: this.sync.requestId });
+    }
+
+    async handleBlocks(socket, blocks, requestId) {
+        const received = Array.isArray(blocks) ? blocks : [];
+
+        // Genitori richiesti per collegare blocchi orfani (indipendenti dalla sincronizzazione)
+        for (const block of received) {
+            if (block && this.orphanPool.takeRequested(block.block_hash)) {
+                await this.ingestBlock(socket, block);
+            }
+        }
+
+        // Solo la risposta al lotto richiesto può interrompere la sincronizzazione; se non arriva ci pensa il timeout
+        if (!this.sync || this.sync.socket !== socket || !this.sync.requested || requestId !== this.sync.requestId) return;
+
+        const requested = [...this.sync.requested]; // Nell'ordine degli header
+        this.sync.requested = null;
+        this.sync.requestId = null;
+        const batch = new Map(received.filter(block => block && requested.includes(block.block_hash)).map(block => [block.block_hash, block]));
+        if (batch.size < requested.length) {
+            return this.abortSync(socket, 'peer did not return all requested blocks');
+        }
+
+        // Ogni blocco è validato rispetto ai suoi antenati già collegati e salvato subito (in un ramo laterale finché
+        // il ramo remoto non ha più lavoro di quello locale, poi nella catena principale): in memoria resta un lotto alla volta
+        for (const hash of requested) {
+            if (!await this.connectSyncBlock(socket, batch.get(hash))) return;
+        }
+        if (this.sync.pending.length > 0) {
+            return this.requestNextBlocks();
+        }
+
+        const { connected } = this.sync;
+        this.endSync();
+        logger.info(`Chain sync completed: ${connected} blocks connected. Local height ${this.blockchain.chain.length}.`);
+        if (connected > 0) {
+            this.broadcastStatus();
+            // La nuova catena può contenere genitori attesi da blocchi orfani
+            for (const parentHash of [...this.orphanPool.byParent.keys()]) {
+                if (this.blockchain.hasBlock(parentHash)) {
+                    await this.connectOrphans(parentHash);
+                }
+            }
+        }
+    }
+
+    // Aggiunge un blocco scaricato dalla sincronizzazione; false (e sincronizzazione interrotta) se il blocco non è valido,
+    // non è stato salvato o la sessione è terminata nel frattempo
+    async connectSyncBlock(socket, block) {
+        let added;
+        try {
+            added = await this.blockchain.addBlock(block);
+        } catch (error) {
+            if (!(error instanceof BlockValidationError)) throw error;
+            this.abortSync(socket, `invalid block #${block.block_number}: ${error.details?.reason}`);
+            return false;
+        }
+        if (!this.sync || this.sync.socket !== socket) return false;
+        if (!added && !this.blockchain.hasBlock(block.block_hash)) {
+            this.abortSync(socket, `block #${block.block_number} could not be stored`);
+            return false;
+        }
+        if (added) this.sync.connected++;
+        return true;
+    }
+
+    // (Ri)avvia il timeout della sessione di sincronizzazione
+    touchSync() {
+        clearTimeout(this.sync.timer);
+        const socket = this.sync.socket;
+        this.sync.timer = setTimeout(() => this.abortSync(socket, 'timeout'), P2P_SYNC_TIMEOUT_MS);
+    }
+
+    abortSync(socket, reason) {
+        if (!this.sync || this.sync.socket !== socket) return;
+        logger.warn(`Chain sync aborted: ${reason}`);
+        this.endSync();
+    }
+
+    endSync() {
+        clearTimeout(this.sync.timer);
+        this.sync = null;
+    }
+
+    broadcastBlock(block, origin = this.createOrigin(block)) {
         this.sockets.forEach(socket => {
-            socket.send(JSON.stringify({
+            this.send(socket, {
                 type: MESSAGE_TYPES.BLOCK,
                 block: block,
-            }));
+                origin,
+            });
         });
     }
 
-    syncChains() {
-        logger.info('Broadcasting entire chain to all peers.');
-        this.sockets.forEach(socket => this.sendChain(socket));
+    // --- Attestazioni e finalità ---
+
+    // Il peer appena connesso riceve le attestazioni note sui blocchi recenti (comprese quelle ricevute da altri nodi)
+    async sendRecentAttestations(socket) {
+        const attestations = await getRecentAttestations(ATTESTATION_SYNC_DEPTH, P2P_ATTESTATIONS_BATCH_SIZE);
+        if (attestations.length > 0) {
+            this.send(socket, { type: MESSAGE_TYPES.ATTESTATIONS, attestations });
+        }
+    }
+
+    // Salva le attestazioni valide di nodi noti su blocchi conosciuti e ri-trasmette solo quelle nuove
+    async handleAttestations(socket, attestations) {
+        const fresh = [];
+        for (const attestation of (Array.isArray(attestations) ? attestations : []).slice(0, P2P_ATTESTATIONS_BATCH_SIZE)) {
+            if (!verifyAttestation(attestation)) {
+                logger.security.logSecurityEvent('P2P_INVALID_ATTESTATION', { node_id: attestation?.node_id, from: socket.peer.node_id });
+                continue;
+            }
+            if (!await this.isKnownAttestor(socket, attestation)) {
+                logger.warn('Ignoring attestation from unknown node', { node_id: attestation.node_id, from: socket.peer.node_id });
+                continue;
+            }
+            if (!this.blockchain.hasBlock(attestation.block_hash)) continue;
+            if (await saveAttestation(attestation)) {
+                fresh.push(attestation);
+            }
+        }
+        if (fresh.length > 0) {
+            logger.info(`Stored ${fresh.length} new block attestations from node ${socket.peer.node_id}`);
+            this.broadcastAttestations(fresh, socket);
+        }
+    }
+
+    // Contano per la finalità solo i nodi noti: quelli in TRUSTED_NODE_KEYS se impostata,
+    // altrimenti i nodi con cui un handshake ha associato la chiave al node id (trust on first use)
+    async isKnownAttestor(socket, attestation) {
+        if (attestation.node_id === this.nodeId) {
+            return attestation.public_key === this.identity.public_key;
+        }
+        if (TRUSTED_NODE_KEYS.length > 0) {
+            return TRUSTED_NODE_KEYS.includes(attestation.public_key);
+        }
+        if (attestation.node_id === socket.peer.node_id) {
+            return attestation.public_key === socket.peer.public_key;
+        }
+        return await this.peerManager.getPinnedKey(attestation.node_id) === attestation.public_key;
+    }
+
+    broadcastAttestations(attestations, exceptSocket = null) {
+        this.sockets
+            .filter(socket => socket !== exceptSocket)
+            .forEach(socket => this.send(socket, { type: MESSAGE_TYPES.ATTESTATIONS, attestations }));
+    }
+
+    broadcastStatus() {
+        logger.info('Broadcasting chain status to all peers.');
+        this.sockets.forEach(socket => this.sendStatus(socket));
     }
 }
 
-module.exports = P2pServer;
\ No newline at end of file
+module.exports = P2pServer;
@@ -0,0 +1,169 @@
+const WebSocket = require('ws');
+const { pool } = require('../database/db');
+const logger = require('../utils/logger');
+const {
+    PEERS,
+    P2P_ADVERTISED_ADDRESS,
+    P2P_MAX_PEERS,
+    P2P_RECONNECT_BASE_MS,
+    P2P_RECONNECT_MAX_MS,
+    P2P_MAX_PEER_FAILURES
+} = require('../config');
+
+const PEER_ADDRESS_REGEX = /^wss?:\/\/[a-zA-Z0-9.-]+:\d{1,5}$/;
+
+// Gestisce la tabella persistente dei peer e le connessioni in uscita con riconnessione a backoff esponenziale
+class PeerManager {
+    // onSocket(socket, address): invocata all'apertura di una connessione in uscita
+    // isNodeConnected(nodeId) / getConnectionCount(): stato delle connessioni (in entrata e in uscita) del P2pServer
+    constructor({ onSocket, isNodeConnected, getConnectionCount }) {
+        this.onSocket = onSocket;
+        this.isNodeConnected = isNodeConnected;
+        this.getConnectionCount = getConnectionCount;
+        this.peers = new Map(); // address -> { address, node_id, source, failures, socket, timer }
+    }
+
+    static isValidAddress(address) {
+        return typeof address === 'string' && PEER_ADDRESS_REGEX.test(address) && address !== P2P_ADVERTISED_ADDRESS;
+    }
+
+    // Carica i peer salvati nel DB e quelli statici da PEERS
+    async load() {
+        const { rows } = await pool.query('SELECT address, node_id, source, failures FROM p2p.peers');
+        rows.forEach(row => this.peers.set(row.address, { ...row, socket: null, timer: null }));
+
+        for (const address of PEERS) {
+            await this.addAddress(address, 'config');
+        }
+        logger.info(`Loaded ${this.peers.size} known peers.`);
+    }
+
+    // Registra un nuovo indirizzo; ritorna true se non era già noto
+    async addAddress(address, source) {
+        if (!PeerManager.isValidAddress(address) || this.peers.has(address)) {
+            return false;
+        }
+        this.peers.set(address, { address, node_id: null, source, failures: 0, socket: null, timer: null });
+        await pool.query(
+            'INSERT INTO p2p.peers (address, source) VALUES ($1, $2) ON CONFLICT (address) DO NOTHING',
+            [address, source]
+        );
+        return true;
+    }
+
+    connectAll() {
+        this.peers.forEach((peer, address) => this.connect(address));
+    }
+
+    // Apre una connessione in uscita verso l'indirizzo, se non già connesso o in attesa di riconnessione
+    connect(address) {
+        const peer = this.peers.get(address);
+        if (!peer || peer.socket || peer.timer) return;
+        if (peer.node_id && this.isNodeConnected(peer.node_id)) return; // Già connesso tramite una connessione in entrata
+        if (peer.source !== 'config' && this.getConnectionCount() >= P2P_MAX_PEERS) {
+            logger.debug(`Max peers reached (${P2P_MAX_PEERS}), not connecting to ${address}`);
+            return;
+        }
+
+        const socket = new WebSocket(address);
+        socket.outbound = true;
+        socket.address = address;
+        peer.socket = socket;
+        pool.query('UPDATE p2p.peers SET last_attempt_at = NOW() WHERE address = $1', [address])
+            .catch(error => logger.warn('Could not update peer attempt time', { error: error.message }));
+
+        let opened = false;
+        socket.on('open', () => {
+            opened = true;
+            this.onSocket(socket, address);
+        });
+        socket.on('error', (err) => {
+            if (!opened) {
+                logger.warn(`Failed to connect to peer: ${address}`, { error: err.message });
+            }
+        });
+        socket.on('close', () => {
+            peer.socket = null;
+            if (!opened) {
+                this.markFailure(address)
+                    .catch(error => logger.warn('Could not record peer failure', { error: error.message }));
+            }
+        });
+    }
+
+    // Handshake completato: azzera i fallimenti e associa node id e chiave pubblica all'indirizzo
+    async markConnected(address, nodeId, publicKey) {
+        const peer = this.peers.get(address);
+        if (!peer) return;
+        peer.failures = 0;
+        peer.node_id = nodeId;
+        await pool.query(
+            'UPDATE p2p.peers SET node_id = $2, public_key = $3, failures = 0, last_seen_at = NOW() WHERE address = $1',
+            [address, nodeId, publicKey]
+        );
+    }
+
+    // Chiave pubblica già associata a un node id (trust on first use), null se mai vista
+    async getPinnedKey(nodeId) {
+        const { rows } = await pool.query(
+            'SELECT public_key FROM p2p.peers WHERE node_id = $1 AND public_key IS NOT NULL ORDER BY last_seen_at DESC NULLS LAST LIMIT 1',
+            [nodeId]
+        );
+        return rows[0]?.public_key || null;
+    }
+
+    async markFailure(address) {
+        const peer = this.peers.get(address);
+        if (!peer) return;
+        peer.failures++;
+
+        // I peer appresi via peer-exchange che non rispondono da troppo tempo vengono dimenticati
+        if (peer.source !== 'config' && peer.failures >= P2P_MAX_PEER_FAILURES) {
+            logger.info(`Forgetting unreachable peer ${address} after ${peer.failures} failures.`);
+            return this.forget(address);
+        }
+
+        await pool.query('UPDATE p2p.peers SET failures = $2 WHERE address = $1', [address, peer.failures])
+            .catch(error => logger.warn('Could not update peer failures', { error: error.message }));
+        this.scheduleReconnect(address);
+    }
+
+    // Riconnessione con backoff esponenziale (con jitter) limitato a P2P_RECONNECT_MAX_MS
+    scheduleReconnect(address) {
+        const peer = this.peers.get(address);
+        if (!peer || peer.socket || peer.timer) return;
+
+        const backoff = Math.min(P2P_RECONNECT_BASE_MS * 2 ** peer.failures, P2P_RECONNECT_MAX_MS);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        logger.debug(`Reconnecting to ${address} in ${delay}ms (failures: ${peer.failures})`);
+        peer.timer = setTimeout(() => {
+            peer.timer = null;
+            this.connect(address);
+        }, delay);
+    }
+
+    async forget(address) {
+        const peer = this.peers.get(address);
+        if (!peer) return;
+        clearTimeout(peer.timer);
+        this.peers.delete(address);
+        await pool.query('DELETE FROM p2p.peers WHERE address = $1', [address]);
+    }
+
+    // Indirizzi da condividere con gli altri nodi (solo peer con cui abbiamo completato un handshake)
+    getShareableAddresses() {
+        return [...this.peers.values()]
+            .filter(peer => peer.node_id && peer.failures === 0)
+            .map(peer => peer.address);
+    }
+
+    stop() {
+        this.peers.forEach(peer => {
+            clearTimeout(peer.timer);
+            peer.timer = null;
+            if (peer.socket) peer.socket.close();
+        });
+    }
+}
+
+module.exports = PeerManager;
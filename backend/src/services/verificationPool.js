@@ -0,0 +1,75 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'verificationWorker.js');
+
+// Pool di worker_threads per i controlli dei blocchi (hash dei payload, Merkle root, firme RSA),
+// così la verifica non blocca l'event loop che serve le API. I worker sono creati alla prima richiesta.
+class VerificationPool {
+    constructor(size) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = []; // { task, resolve, reject } in attesa di un worker libero
+    }
+
+    // task: { block, previousBlock, medianTimePast, requiredDifficulty, publicKeyPem, payloadInChain }; risolve con il risultato di runBlockChecks
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+            if (!worker) return;
+            worker.job = this.queue.shift();
+            worker.postMessage(worker.job.task);
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT);
+        worker.job = null;
+
+        worker.on('message', ({ result, error }) => {
+            const job = worker.job;
+            worker.job = null;
+            this.idle.push(worker);
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(result);
+            }
+            this.dispatch();
+        });
+        worker.on('error', (error) => {
+            logger.error('Verification worker crashed', { error: error.message });
+        });
+        // Un worker terminato viene sostituito alla richiesta successiva; il task in corso fallisce
+        worker.on('exit', (code) => {
+            this.workers = this.workers.filter(w => w !== worker);
+            this.idle = this.idle.filter(w => w !== worker);
+            if (worker.job) {
+                worker.job.reject(new Error(`Verification worker exited with code ${code}`));
+                worker.job = null;
+            }
+            this.dispatch();
+        });
+
+        worker.unref(); // Dopo i listener (che riattiverebbero il riferimento): i worker non tengono in vita il processo
+        this.workers.push(worker);
+        return worker;
+    }
+
+    async stop() {
+        const workers = this.workers;
+        this.queue.splice(0).forEach(job => job.reject(new Error('Verification pool stopped')));
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+module.exports = VerificationPool;
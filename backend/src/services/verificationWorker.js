@@ -0,0 +1,26 @@
+// Worker di VerificationPool: esegue runBlockChecks fuori dal thread principale
+const { parentPort } = require('worker_threads');
+const { runBlockChecks } = require('./blockValidation');
+
+// I Buffer arrivano come Uint8Array (structured clone): li riconverte senza copiare
+const toBuffer = (value) => (value ? Buffer.from(value.buffer, value.byteOffset, value.byteLength) : value);
+
+const restoreRecord = (record) => ({
+    ...record,
+    encrypted_data: toBuffer(record.encrypted_data),
+    data_iv: toBuffer(record.data_iv),
+    encrypted_data_key: toBuffer(record.encrypted_data_key),
+});
+
+parentPort.on('message', ({ block, previousBlock, medianTimePast, requiredDifficulty, publicKeyPem, payloadInChain }) => {
+    try {
+        const restored = {
+            ...restoreRecord(block),
+            signature: toBuffer(block.signature),
+            records: block.records ? block.records.map(restoreRecord) : block.records,
+        };
+        parentPort.postMessage({ result: runBlockChecks(restored, { previousBlock, medianTimePast, requiredDifficulty, publicKeyPem, payloadInChain }) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
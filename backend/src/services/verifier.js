@@ -1,17 +1,51 @@
 // Standardizzato buildHashInput usando CryptoUtils
 
+const crypto = require('crypto');
 const CryptoUtils = require('../utils/cryptoUtils');
 const logger = require('../utils/logger');
-const { GENESIS_HASH } = require('../config');
+const {
+  CHAIN_AUDIT_INTERVAL_MS,
+  CHAIN_AUDIT_BATCH_SIZE,
+  VERIFIER_CONCURRENCY,
+  VERIFIER_BATCH_SIZE,
+  CREATOR_KEY_CACHE_TTL_MS,
+  PAYLOAD_SIGNATURE_VERSION
+} = require('../config');
+const { ConflictError } = require('../utils/errors');
+const { VERIFICATION_CHECKS, ANCESTOR_DEPTH, runBlockChecks, getAncestorRules } = require('./blockValidation');
+const VerificationPool = require('./verificationPool');
+const { loadNodeIdentity } = require('./nodeIdentity');
+const { createAttestation, saveAttestation } = require('./attestations');
+
+const BLOCK_COLUMNS = `
+  block_id, previous_hash, block_hash, nonce, created_at,
+  encrypted_data, data_iv, encrypted_data_key, creator_id,
+  signature, difficulty, data_size, mining_duration_ms,
+  block_number, version, merkle_root, record_count, status
+`;
+
+// Blocchi non validi elencati nel report di un audit (first_broken_height è sempre registrata)
+const MAX_AUDIT_FAILURES = 100;
 
 class BlockchainValidator {
   constructor(pool, options = {}) {
     this.pool = pool;
-    this.difficulty = options.difficulty || 4;
     this.timeoutMs = options.timeoutMs || 60000;
     this.intervalMs = options.intervalMs || 30000;
+    this.auditIntervalMs = options.auditIntervalMs ?? CHAIN_AUDIT_INTERVAL_MS; // 0 = nessun audit programmato
+    this.auditBatchSize = options.auditBatchSize || CHAIN_AUDIT_BATCH_SIZE;
+    this.batchSize = options.batchSize || VERIFIER_BATCH_SIZE;
+    // Controlli eseguiti in worker_threads; con concurrency 0 vengono eseguiti nel thread principale
+    const concurrency = options.concurrency ?? VERIFIER_CONCURRENCY;
+    this.workerPool = concurrency > 0 ? new VerificationPool(concurrency) : null;
+    this.publicKeys = new Map(); // Cache creator_id -> { publicKeyPem, expiresAt }
+    this.isVerifying = false;
     this.isRunning = false;
     this.verificationInterval = null;
+    this.auditInterval = null;
+    this.currentAuditId = null;
+    this.identity = null;
+    this.onAttestation = options.onAttestation || null; // Invocata con ogni nuova attestazione firmata da questo nodo
   }
 
   // Avvia il processo di verifica
@@ -23,9 +57,9 @@ class BlockchainValidator {
 
     this.isRunning = true;
     logger.info('Starting blockchain verifier', {
-      difficulty: this.difficulty,
       timeoutMs: this.timeoutMs,
-      intervalMs: this.intervalMs
+      intervalMs: this.intervalMs,
+      concurrency: this.workerPool ? this.workerPool.size : 0
     });
 
     // Esegui una verifica immediata all'avvio
@@ -37,6 +71,16 @@ class BlockchainValidator {
         this.verifyPendingBlocks();
       }, this.intervalMs);
     }
+
+    // Gli audit rimasti 'running' sono stati interrotti da un riavvio del nodo
+    this.pool.query(`UPDATE audit.chain_audits SET status = 'failed', completed_at = NOW(), error = 'Interrupted by node restart' WHERE status = 'running'`)
+      .catch(error => logger.error('Could not close interrupted chain audits', { error: error.message }));
+
+    if (this.auditIntervalMs) {
+      this.auditInterval = setInterval(() => {
+        this.startChainAudit('scheduled').catch(error => logger.warn(`Scheduled chain audit not started: ${error.message}`));
+      }, this.auditIntervalMs);
+    }
   }
 
   // Ferma il processo di verifica
@@ -50,288 +94,444 @@ class BlockchainValidator {
       clearInterval(this.verificationInterval);
       this.verificationInterval = null;
     }
+    if (this.auditInterval) {
+      clearInterval(this.auditInterval);
+      this.auditInterval = null;
+    }
+    if (this.workerPool) {
+      this.workerPool.stop().catch(error => logger.warn('Could not stop verification workers', { error: error.message }));
+    }
     logger.info('Blockchain verifier stopped');
   }
 
-  // Verifica i blocchi in sospeso
+  // Verifica i blocchi in sospeso a lotti di batchSize finché la coda non è vuota (es. dopo una lunga sincronizzazione).
+  // Letture e scritture sul DB sono raggruppate per lotto; i controlli girano in parallelo nel pool di worker.
   async verifyPendingBlocks() {
+    if (this.isVerifying) {
+      logger.debug('Pending block verification already in progress');
+      return;
+    }
+    this.isVerifying = true;
     try {
-      const query = `
-        SELECT 
-          block_id, previous_hash, block_hash, nonce, created_at,
-          encrypted_data, data_iv, encrypted_data_key, creator_id,
-          signature, difficulty, data_size, mining_duration_ms,
-          block_number
-        FROM blockchain.blocks 
-        WHERE verified = false 
-          AND created_at < NOW() - INTERVAL '${this.timeoutMs} milliseconds'
-        ORDER BY created_at ASC
-        LIMIT 10
-      `;
-
-      const result = await this.pool.query(query);
-
-      if (result.rows.length === 0) {
-        logger.debug('No pending blocks to verify');
-        return;
-      }
-
-      logger.info(`Verifying ${result.rows.length} pending blocks`);
-
-      for (const block of result.rows) {
-        try {
-          // Converti i buffer bytea in Buffer Node.js prima della verifica
-          const blockWithBuffers = {
-            ...block,
-            encrypted_data: Buffer.from(block.encrypted_data),
-            data_iv: Buffer.from(block.data_iv),
-            encrypted_data_key: Buffer.from(block.encrypted_data_key),
-            signature: Buffer.from(block.signature),
-          };
-          
-          const isValid = await this.verifyBlock(blockWithBuffers);
-          
-          await this.pool.query(
-            'UPDATE blockchain.blocks SET verified = $1, verified_at = NOW() WHERE block_id = $2',
-            [isValid, block.block_id]
-          );
-
-          // Log verification result (Schema 'audit.events')
-          await this.pool.query(`
-            INSERT INTO audit.events (block_id, event_type, event_data)
-            VALUES ($1, $2, $3)
-          `, [
-            block.block_id,
-            'VERIFIED',
-            JSON.stringify({
-              verified: isValid,
-              verifier: 'blockchain-validator',
-              timestamp: new Date().toISOString()
-            })
-          ]);
-
-          if (isValid) {
-            logger.info(`Block ${block.block_id} (#${block.block_number}) verified successfully`);
-          } else {
-            logger.warn(`Block ${block.block_id} (#${block.block_number}) verification failed`);
-          }
-
-        } catch (error) {
-          logger.error(`Error verifying block ${block.block_id} (#${block.block_number})`, {
-            error: error.message,
-            stack: error.stack // Aggiungi stack trace per debug
-          });
+      let batchCompleted;
+      do {
+        const { rows } = await this.pool.query(`
+          SELECT ${BLOCK_COLUMNS}
+          FROM blockchain.blocks 
+          WHERE status = 'pending' -- I blocchi 'invalid' vengono ricontrollati solo dall'audit
+            AND created_at < NOW() - INTERVAL '${this.timeoutMs} milliseconds'
+          ORDER BY created_at ASC
+          LIMIT $1
+        `, [this.batchSize]);
+
+        if (rows.length === 0) {
+          logger.debug('No pending blocks to verify');
+          return;
         }
-      }
 
+        logger.info(`Verifying ${rows.length} pending blocks`);
+        const verified = await this.verifyBatch(rows);
+        // Un blocco rimasto 'pending' per un errore verrebbe riselezionato subito: si riprova al prossimo intervallo
+        batchCompleted = verified === rows.length;
+      } while (batchCompleted && this.isRunning);
     } catch (error) {
       logger.error('Error in verification process', { error: error.message });
+    } finally {
+      this.isVerifying = false;
     }
   }
 
-  // Verifica singolo blocco
-  async verifyBlock(block) { // Ora riceve blockWithBuffers
-    try {
-      // 1. Verifica hash del blocco
-      const hashInputString = CryptoUtils.buildHashInput({
-        previous_hash: block.previous_hash,
-        encrypted_data: block.encrypted_data,
-        data_iv: block.data_iv,
-        encrypted_data_key: block.encrypted_data_key,
-        nonce: block.nonce,
-        created_at: block.created_at, // Assicurati sia Date o stringa ISO
-        creator_id: block.creator_id,
-        difficulty: block.difficulty
-      });
-      const calculatedHash = CryptoUtils.calculateHash(hashInputString);
-      
-      if (!CryptoUtils.timeSafeEqual(calculatedHash, block.block_hash)) {
-        logger.warn(`Block ${block.block_id} (#${block.block_number}): Hash mismatch`, {
-          calculated: calculatedHash,
-          stored: block.block_hash,
-          // inputString: hashInputString // Uncomment for deep debug
-        });
-        return false;
-      }
-
-      // 2. Verifica difficoltà Proof-of-Work 
-      if (!this.verifyProofOfWork(block.block_hash, block.difficulty)) {
-        logger.warn(`Block ${block.block_id} (#${block.block_number}): Proof-of-Work failed`, {
-          hash: block.block_hash,
-          difficulty: block.difficulty
+  // Verifica un lotto di blocchi in attesa e ritorna quanti hanno ricevuto un esito
+  async verifyBatch(rows) {
+    const blocks = await this.toBlocksWithBuffers(rows);
+    const [previousBlocks, ancestorRules, publicKeys] = await Promise.all([
+      this.loadPreviousBlocks(blocks),
+      this.loadAncestorRules(blocks),
+      this.getCreatorPublicKeys(blocks.map(block => block.creator_id))
+    ]);
+
+    const outcomes = await Promise.all(blocks.map(async (block) => {
+      try {
+        const previousBlock = previousBlocks.get((BigInt(block.block_number) - 1n).toString()) || null;
+        const rules = ancestorRules.get(block.block_number.toString());
+        return { block, verification: await this.checkBlock(block, { previousBlock, rules, publicKeys }) };
+      } catch (error) {
+        logger.error(`Error verifying block ${block.block_id} (#${block.block_number})`, {
+          error: error.message,
+          stack: error.stack // Aggiungi stack trace per debug
         });
-        return false;
-      }
-
-      // 3. Verifica integrità della catena
-      if (!(await this.verifyChainIntegrity(block))) {
-        logger.warn(`Block ${block.block_id} (#${block.block_number}): Chain integrity failed`);
-        return false;
+        return null;
       }
-
-      // 4. Verifica firma digitale
-      if (!(await this.verifyDigitalSignature(block))) {
-        logger.warn(`Block ${block.block_id} (#${block.block_number}): Digital signature verification failed`);
-        return false;
+    }));
+    const results = outcomes.filter(Boolean);
+    if (results.length === 0) return 0;
+
+    const runIds = await this.recordVerifications(results, 'pending');
+    await this.setBlockStatuses(results);
+
+    // Log verification result (Schema 'audit.events')
+    const values = [];
+    const placeholders = results.map(({ block, verification }, i) => {
+      values.push(block.block_id, block.block_hash, 'VERIFIED', JSON.stringify({
+        verified: verification.valid,
+        verifier: 'blockchain-validator',
+        run_id: runIds[i], // Dettaglio dei controlli in blockchain.block_verifications
+        failed_checks: verification.checks.filter(check => !check.passed).map(check => check.check),
+        timestamp: new Date().toISOString()
+      }));
+      return `($${i * 4 + 1}, $${i * 4 + 2}, $${i * 4 + 3}, $${i * 4 + 4})`;
+    });
+    await this.pool.query(
+      `INSERT INTO audit.events (block_id, block_hash, event_type, event_data) VALUES ${placeholders.join(', ')}`,
+      values
+    );
+
+    for (const { block, verification } of results) {
+      if (verification.valid) {
+        logger.info(`Block ${block.block_id} (#${block.block_number}) verified successfully`);
+        await this.attestBlock(block).catch(error => logger.error(`Could not attest block ${block.block_id}`, { error: error.message }));
+      } else {
+        logger.warn(`Block ${block.block_id} (#${block.block_number}) verification failed`);
       }
+    }
+    return results.length;
+  }
 
-      // 5. Verifica integrità dei dati
-      if (!this.verifyDataIntegrity(block)) {
-        logger.warn(`Block ${block.block_id} (#${block.block_number}): Data integrity check failed`);
-        return false;
-      }
+  // Audit completo della catena: a differenza di verifyPendingBlocks riverifica ogni blocco dal genesis,
+  // anche quelli già marcati come verificati, per scoprire modifiche fatte direttamente nel DB.
+  // Ritorna subito la riga dell'audit; la verifica prosegue in background.
+  async startChainAudit(trigger = 'manual') {
+    if (this.currentAuditId) {
+      throw new ConflictError('A chain audit is already running', { audit_id: this.currentAuditId });
+    }
+    this.currentAuditId = 'starting'; // Riservato prima dell'INSERT per evitare due audit concorrenti
+    try {
+      const { rows } = await this.pool.query(
+        'INSERT INTO audit.chain_audits (trigger) VALUES ($1) RETURNING audit_id, trigger, status, started_at',
+        [trigger]
+      );
+      const audit = rows[0];
+      this.currentAuditId = audit.audit_id;
+      logger.info(`Chain audit ${audit.audit_id} started (${trigger})`);
 
-      return true;
+      this.auditChain(audit)
+        .catch(async (error) => {
+          logger.error(`Chain audit ${audit.audit_id} failed`, { error: error.message, stack: error.stack });
+          await this.pool.query(
+            `UPDATE audit.chain_audits SET status = 'failed', completed_at = NOW(), error = $2 WHERE audit_id = $1`,
+            [audit.audit_id, error.message]
+          ).catch(() => {});
+        })
+        .finally(() => { this.currentAuditId = null; });
 
+      return audit;
     } catch (error) {
-      logger.error(`Block verification error for ${block.block_id} (#${block.block_number})`, {
-        error: error.message,
-        stack: error.stack
-      });
-      return false;
+      this.currentAuditId = null;
+      throw error;
     }
   }
-  
-  // Verifica Proof-of-Work
-  verifyProofOfWork(blockHash, difficulty) {
-    const requiredPrefix = '0'.repeat(difficulty);
-    return blockHash.startsWith(requiredPrefix);
-  }
-
-  // Verifica integrità della catena
-  async verifyChainIntegrity(block) {
-    try {
-      // Genesis block check
-      if (Number(block.block_number) === 1) {
-        // Il blocco genesis nel DB DEVE avere NULL, ma accettiamo GENESIS_HASH per coerenza
-        // se per errore fosse stato inserito così (anche se il constraint non lo permetterebbe)
-        return block.previous_hash === null || block.previous_hash === GENESIS_HASH;
-      }
 
-      // Trova l'hash del blocco precedente dal DB
-      const prevBlockQuery = `
-        SELECT block_hash FROM blockchain.blocks 
-        WHERE block_number = $1
-      `;
-      const prevBlockNumber = (BigInt(block.block_number) - 1n).toString();
-      const prevResult = await this.pool.query(prevBlockQuery, [prevBlockNumber]);
-
-      if (prevResult.rows.length === 0) {
-        logger.warn(`No previous block (#${prevBlockNumber}) found for chain verification of block #${block.block_number}`);
-        return false;
+  // Percorre la catena a blocchi di auditBatchSize in ordine di altezza e salva il report firmato
+  async auditChain(audit) {
+    const failures = [];
+    let firstBrokenHeight = null;
+    let blocksChecked = 0;
+    let previousBlock = null;
+    let lastBlockNumber = 0;
+
+    while (true) {
+      const blocks = await this.loadChainBatch(lastBlockNumber, this.auditBatchSize);
+      if (blocks.length === 0) break;
+
+      // Il predecessore di ogni blocco è il precedente del lotto (o l'ultimo del lotto precedente)
+      const [ancestorRules, publicKeys] = await Promise.all([
+        this.loadAncestorRules(blocks),
+        this.getCreatorPublicKeys(blocks.map(block => block.creator_id))
+      ]);
+      const results = await Promise.all(blocks.map((block, i) =>
+        this.checkBlock(block, {
+          previousBlock: i > 0 ? blocks[i - 1] : previousBlock,
+          rules: ancestorRules.get(block.block_number.toString()),
+          publicKeys
+        })
+          .then(verification => ({ block, verification }))
+      ));
+
+      await this.recordVerifications(results, 'audit');
+      // L'audit aggiorna lo stato solo se cambia (es. un blocco valido manomesso nel DB diventa 'invalid')
+      await this.setBlockStatuses(results.filter(({ block, verification }) =>
+        block.status !== (verification.valid ? 'valid' : 'invalid')));
+
+      for (const { block, verification } of results) {
+        blocksChecked++;
+        if (!verification.valid) {
+          firstBrokenHeight ??= block.block_number.toString();
+          if (failures.length < MAX_AUDIT_FAILURES) {
+            failures.push({ block_number: block.block_number.toString(), block_hash: block.block_hash, reason: verification.reason });
+          }
+        }
       }
+      previousBlock = blocks[blocks.length - 1];
+      lastBlockNumber = previousBlock.block_number;
 
-      const expectedPrevHash = prevResult.rows[0].block_hash;
-      
-      // Confronto sicuro
-      const hashesMatch = CryptoUtils.timeSafeEqual(block.previous_hash || '', expectedPrevHash || '');
-      if (!hashesMatch) {
-        logger.warn(`Previous hash mismatch for block #${block.block_number}. Expected: ${expectedPrevHash}, Got: ${block.previous_hash}`);
-      }
-      return hashesMatch;
+      await this.pool.query('UPDATE audit.chain_audits SET blocks_checked = $2 WHERE audit_id = $1', [audit.audit_id, blocksChecked]);
+    }
 
-    } catch (error) {
-      logger.error(`Chain integrity verification error for block #${block.block_number}`, { error: error.message, stack: error.stack });
-      return false;
+    // Il report è firmato con la chiave Ed25519 del nodo e salvato come testo, così la firma resta verificabile
+    this.identity ??= await loadNodeIdentity();
+    const report = JSON.stringify({
+      audit_id: audit.audit_id,
+      node_id: this.identity.node_id,
+      trigger: audit.trigger,
+      started_at: new Date(audit.started_at).toISOString(),
+      completed_at: new Date().toISOString(),
+      chain_height: previousBlock ? previousBlock.block_number.toString() : '0',
+      tip_hash: previousBlock ? previousBlock.block_hash : null,
+      blocks_checked: blocksChecked,
+      first_broken_height: firstBrokenHeight,
+      failures,
+    });
+    const signature = CryptoUtils.signWithNodeKey(this.identity.private_key_pem, report);
+
+    await this.pool.query(
+      `UPDATE audit.chain_audits
+       SET status = 'completed', completed_at = NOW(), blocks_checked = $2, chain_height = $3, first_broken_height = $4,
+           node_id = $5, node_public_key = $6, report = $7, signature = $8
+       WHERE audit_id = $1`,
+      [audit.audit_id, blocksChecked, previousBlock ? previousBlock.block_number : 0, firstBrokenHeight,
+        this.identity.node_id, this.identity.public_key, report, signature]
+    );
+
+    if (firstBrokenHeight) {
+      logger.error(`Chain audit ${audit.audit_id}: chain broken at block #${firstBrokenHeight} (${failures.length} invalid blocks reported)`);
+    } else {
+      logger.info(`Chain audit ${audit.audit_id} completed: ${blocksChecked} blocks verified`);
     }
   }
 
-  // Verifica firma digitale
-  async verifyDigitalSignature(block) { // Riceve blockWithBuffers
-    try {
-      if (!block.creator_id) {
-        logger.warn(`Block #${block.block_number} has no creator for signature verification`);
-        return false; // Un blocco senza creator non può avere firma valida
-      }
+  // Blocchi della catena principale successivi all'altezza indicata, in ordine di altezza e pronti per checkBlock
+  async loadChainBatch(afterBlockNumber, limit) {
+    const { rows } = await this.pool.query(
+      `SELECT ${BLOCK_COLUMNS} FROM blockchain.blocks WHERE block_number > $1 ORDER BY block_number ASC LIMIT $2`,
+      [afterBlockNumber, limit]
+    );
+    return this.toBlocksWithBuffers(rows);
+  }
 
-      // Recupera la chiave pubblica del creator dal DB
-      const creatorQuery = `
-        SELECT public_key_pem FROM blockchain.creators 
-        WHERE creator_id = $1 AND is_active = true
-      `;
-      const creatorResult = await this.pool.query(creatorQuery, [block.creator_id]);
+  // Converti i buffer bytea in Buffer Node.js prima della verifica
+  // (dalla versione 3 il payload è nei record e le colonne del blocco sono NULL; i record sono letti con una query per lotto)
+  async toBlocksWithBuffers(rows) {
+    const records = await this.loadBlockRecords(rows.filter(row => row.version >= 3).map(row => row.block_hash));
+    return rows.map(block => ({
+      ...block,
+      encrypted_data: block.encrypted_data ? Buffer.from(block.encrypted_data) : null,
+      data_iv: block.data_iv ? Buffer.from(block.data_iv) : null,
+      encrypted_data_key: block.encrypted_data_key ? Buffer.from(block.encrypted_data_key) : null,
+      signature: Buffer.from(block.signature),
+      records: block.version >= 3 ? records.get(block.block_hash) || [] : undefined,
+    }));
+  }
 
-      if (creatorResult.rows.length === 0) {
-        logger.warn(`Creator ${block.creator_id} not found or inactive for signature verification of block #${block.block_number}`);
-        return false;
-      }
+  // Record cifrati dei blocchi versione 3 (block_hash -> record nell'ordine delle foglie del Merkle tree)
+  async loadBlockRecords(blockHashes) {
+    const recordsByBlock = new Map();
+    if (blockHashes.length === 0) return recordsByBlock;
+
+    const result = await this.pool.query(
+      `SELECT block_hash, record_index, encrypted_data, data_iv, encrypted_data_key, data_size
+       FROM blockchain.block_records
+       WHERE block_hash = ANY($1)
+       ORDER BY block_hash, record_index ASC`,
+      [blockHashes]
+    );
+    for (const { block_hash, ...record } of result.rows) {
+      if (!recordsByBlock.has(block_hash)) recordsByBlock.set(block_hash, []);
+      recordsByBlock.get(block_hash).push({
+        ...record,
+        encrypted_data: Buffer.from(record.encrypted_data),
+        data_iv: Buffer.from(record.data_iv),
+        encrypted_data_key: Buffer.from(record.encrypted_data_key),
+      });
+    }
+    return recordsByBlock;
+  }
 
-      const publicKeyPem = creatorResult.rows[0].public_key_pem;
+  // Blocchi della catena principale alle altezze precedenti a quelle dei blocchi indicati (block_number -> blocco)
+  async loadPreviousBlocks(blocks) {
+    const heights = blocks.map(block => (BigInt(block.block_number) - 1n).toString()).filter(height => height !== '0');
+    const previousBlocks = new Map();
+    if (heights.length === 0) return previousBlocks;
+
+    const result = await this.pool.query(
+      'SELECT block_number, block_hash, version FROM blockchain.blocks WHERE block_number = ANY($1::bigint[])',
+      [heights]
+    );
+    result.rows.forEach(row => previousBlocks.set(row.block_number.toString(), row));
+    return previousBlocks;
+  }
 
-      // Verifica la firma
-      const signatureIsValid = CryptoUtils.verifySignature(
-        publicKeyPem,
-        block.block_hash, // La firma è sull'hash del blocco
-        block.signature // Il buffer della firma
-      );
-      
-      if (!signatureIsValid) {
-        logger.warn(`Invalid signature for block #${block.block_number}`);
+  // Regole dipendenti dagli antenati di ogni blocco indicato (block_number -> { medianTimePast, requiredDifficulty,
+  // payloadInChain }, vedi getAncestorRules e checkUniquePayload), calcolate sulle ANCESTOR_DEPTH altezze precedenti
+  // della catena principale lette con una sola query per lotto; payloadInChain con una seconda query su tutta la catena
+  async loadAncestorRules(blocks) {
+    const ancestorHeights = new Map(blocks.map(block => {
+      const blockNumber = BigInt(block.block_number);
+      const heights = [];
+      for (let height = blockNumber - BigInt(ANCESTOR_DEPTH); height < blockNumber; height++) {
+        if (height >= 1n) heights.push(height.toString());
       }
-      return signatureIsValid;
+      return [block.block_number.toString(), heights];
+    }));
+    const allHeights = [...new Set([...ancestorHeights.values()].flat())];
+    const ancestors = new Map();
+    if (allHeights.length > 0) {
+      const result = await this.pool.query(
+        'SELECT block_number, created_at, difficulty, version FROM blockchain.blocks WHERE block_number = ANY($1::bigint[])',
+        [allHeights]
+      );
+      result.rows.forEach(row => ancestors.set(row.block_number.toString(), row));
+    }
 
-    } catch (error) {
-      logger.error(`Digital signature verification error for block #${block.block_number}`, { error: error.message, stack: error.stack });
-      return false; // Ritorna false in caso di errore durante la verifica
+    // Blocchi con firma sul payload la cui Merkle root compare già a un'altezza precedente
+    const { rows: reused } = await this.pool.query(
+      `SELECT DISTINCT b.block_number
+       FROM blockchain.blocks b
+       JOIN blockchain.blocks e ON e.merkle_root = b.merkle_root AND e.version >= $2 AND e.block_number < b.block_number
+       WHERE b.block_number = ANY($1::bigint[]) AND b.version >= $2`,
+      [[...ancestorHeights.keys()], PAYLOAD_SIGNATURE_VERSION]
+    );
+    const reusedPayloads = new Set(reused.map(row => row.block_number.toString()));
+
+    const ancestorRules = new Map();
+    for (const [blockNumber, heights] of ancestorHeights) {
+      const blockAncestors = heights.filter(height => ancestors.has(height)).map(height => ancestors.get(height));
+      ancestorRules.set(blockNumber, { ...getAncestorRules(blockAncestors), payloadInChain: reusedPayloads.has(blockNumber) });
     }
+    return ancestorRules;
   }
 
-  // Verifica integrità dei dati
-  verifyDataIntegrity(block) { // Riceve blockWithBuffers
-    try {
-      // Verifica che le dimensioni dei buffer corrispondano a data_size
-      const actualSize = block.encrypted_data.length + 
-                        block.data_iv.length + 
-                        block.encrypted_data_key.length;
-
-      // Permetti una piccola variazione dovuta a padding o formattazione
-      const sizeVariance = Math.abs(actualSize - block.data_size);
-      
-      // Tolleranza aumentata leggermente per sicurezza, ma 100 è già alta
-      if (sizeVariance > 128) {
-        logger.warn(`Block #${block.block_number}: Data size mismatch: declared ${block.data_size}, actual buffer sum ${actualSize}`);
-        return false;
+  // Chiavi pubbliche dei creator attivi (creator_id -> PEM): lette con una query per i creator non in cache.
+  // La cache scade dopo CREATOR_KEY_CACHE_TTL_MS così un creator disattivato smette presto di essere accettato.
+  async getCreatorPublicKeys(creatorIds) {
+    const now = Date.now();
+    const publicKeys = new Map();
+    const missing = new Set();
+    for (const creatorId of creatorIds.filter(Boolean)) {
+      const cached = this.publicKeys.get(creatorId);
+      if (cached && cached.expiresAt > now) {
+        publicKeys.set(creatorId, cached.publicKeyPem);
+      } else {
+        missing.add(creatorId);
       }
+    }
 
-      // Verifica dimensione IV (AES standard usa 16 bytes)
-      if (block.data_iv.length !== 16) {
-        logger.warn(`Block #${block.block_number}: Invalid IV size: ${block.data_iv.length}, expected 16`);
-        return false;
+    if (missing.size > 0) {
+      const result = await this.pool.query(
+        'SELECT creator_id, public_key_pem FROM blockchain.creators WHERE creator_id = ANY($1::uuid[]) AND is_active = true',
+        [[...missing]]
+      );
+      for (const { creator_id, public_key_pem } of result.rows) {
+        this.publicKeys.set(creator_id, { publicKeyPem: public_key_pem, expiresAt: now + CREATOR_KEY_CACHE_TTL_MS });
+        publicKeys.set(creator_id, public_key_pem);
       }
+    }
+    return publicKeys;
+  }
 
-      // Verifica dimensione chiave crittografata (dipende dall'algoritmo, qui assumiamo RSA-2048)
-      const expectedKeySize = 256; // Per RSA 2048
-      if (block.encrypted_data_key.length !== expectedKeySize) {
-        logger.warn(`Block #${block.block_number}: Invalid encrypted key size: ${block.encrypted_data_key.length}, expected ${expectedKeySize} for RSA-2048`);
-        // Potrebbe essere un warning meno grave se si supportano diverse key sizes, ma qui è fisso a 2048
-        // return false; // Commentato per non bloccare la verifica solo per questo
-      }
-      
-      // Verifica che i buffer non siano vuoti
-      if (block.encrypted_data.length < 16) {
-        logger.warn(`Block #${block.block_number}: Encrypted data buffer too small to contain auth tag (${block.encrypted_data.length} bytes)`);
-        return false;
-      }
+  // Verifica singolo blocco
+  async verifyBlock(block) { // Ora riceve blockWithBuffers
+    return (await this.checkBlock(block)).valid;
+  }
 
+  // Esegue tutti i controlli sul blocco (vedi runBlockChecks) e ritorna { valid, reason, checks }.
+  // context.previousBlock (null = mancante), context.rules (vedi loadAncestorRules) e context.publicKeys evitano
+  // le query quando i dati sono già stati letti per il lotto.
+  async checkBlock(block, context = {}) {
+    const previousBlock = context.previousBlock !== undefined
+      ? context.previousBlock
+      : (await this.loadPreviousBlocks([block])).get((BigInt(block.block_number) - 1n).toString()) || null;
+    const rules = context.rules || (await this.loadAncestorRules([block])).get(block.block_number.toString());
+    const publicKeys = context.publicKeys || await this.getCreatorPublicKeys([block.creator_id]);
+
+    const task = {
+      block,
+      // Del predecessore servono solo i campi usati dalle regole di collegamento
+      previousBlock: previousBlock && {
+        block_number: previousBlock.block_number.toString(),
+        block_hash: previousBlock.block_hash,
+        version: previousBlock.version
+      },
+      medianTimePast: rules.medianTimePast,
+      requiredDifficulty: rules.requiredDifficulty,
+      payloadInChain: rules.payloadInChain,
+      publicKeyPem: publicKeys.get(block.creator_id) || null
+    };
+    const verification = this.workerPool
+      ? await this.workerPool.run(task)
+      : runBlockChecks(task.block, task);
+
+    verification.checks.filter(check => !check.passed).forEach(check => {
+      logger.warn(`Block ${block.block_id} (#${block.block_number}): ${check.check} failed - ${check.detail}`);
+    });
+    return verification;
+  }
 
-      return true;
+  // Esito della verifica sui blocchi (una sola UPDATE per lotto); 'verified' è mantenuto per compatibilità (= status 'valid')
+  async setBlockStatuses(results) {
+    if (results.length === 0) return;
+    await this.pool.query(
+      `UPDATE blockchain.blocks b
+       SET status = v.status::blockchain.block_status, verified = v.status = 'valid', verified_at = NOW()
+       FROM unnest($1::uuid[], $2::text[]) AS v(block_id, status)
+       WHERE b.block_id = v.block_id`,
+      [results.map(({ block }) => block.block_id), results.map(({ verification }) => (verification.valid ? 'valid' : 'invalid'))]
+    );
+  }
 
-    } catch (error) {
-      logger.error(`Data integrity verification error for block #${block.block_number}`, { error: error.message, stack: error.stack });
-      return false;
+  // Firma e salva l'attestazione di questo nodo per un blocco verificato, poi la passa a onAttestation (gossip P2P)
+  async attestBlock(block) {
+    this.identity ??= await loadNodeIdentity();
+    const attestation = createAttestation(this.identity, block.block_hash);
+    if (await saveAttestation(attestation) && this.onAttestation) {
+      this.onAttestation(attestation);
     }
   }
 
+  // Salva l'esito di ogni controllo in blockchain.block_verifications con una sola INSERT per lotto
+  // (un run_id per blocco verificato); ritorna i run_id nell'ordine dei risultati
+  async recordVerifications(results, source) {
+    if (results.length === 0) return [];
+    this.identity ??= await loadNodeIdentity();
+    const runIds = results.map(() => crypto.randomUUID());
+    const values = [source, this.identity.node_id];
+    const placeholders = [];
+    results.forEach(({ block, verification }, i) => {
+      for (const { check, passed, detail } of verification.checks) {
+        const offset = values.length;
+        values.push(runIds[i], block.block_hash, block.block_number, check, passed, detail);
+        placeholders.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $1, $2, $${offset + 4}, $${offset + 5}, $${offset + 6})`);
+      }
+    });
+    await this.pool.query(
+      `INSERT INTO blockchain.block_verifications
+         (run_id, block_hash, block_number, source, verifier_node_id, check_name, passed, detail)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+    return runIds;
+  }
+
   // Ottiene statistiche di verifica
   async getVerificationStats() {
     try {
       const statsQuery = `
         SELECT 
           COUNT(*) as total_blocks,
-          COUNT(*) FILTER (WHERE verified = true) as verified_blocks,
-          COUNT(*) FILTER (WHERE verified = false) as pending_blocks,
+          COUNT(*) FILTER (WHERE status = 'valid') as verified_blocks,
+          COUNT(*) FILTER (WHERE status = 'pending') as pending_blocks,
+          COUNT(*) FILTER (WHERE status = 'invalid') as invalid_blocks,
           AVG(mining_duration_ms) as avg_mining_time,
-          AVG(difficulty) as avg_difficulty
+          AVG(CASE WHEN version >= 4 THEN difficulty ELSE difficulty * 4 END) as avg_difficulty -- In bit (fino alla versione 3 cifre esadecimali)
         FROM blockchain.blocks
       `;
 
@@ -356,11 +556,13 @@ function startVerifier(pool, options = {}) {
 
   return {
     stop: () => verifier.stop(),
-    getStats: () => verifier.getVerificationStats()
+    getStats: () => verifier.getVerificationStats(),
+    startChainAudit: (trigger) => verifier.startChainAudit(trigger)
   };
 }
 
 module.exports = {
   BlockchainValidator,
-  startVerifier
+  startVerifier,
+  VERIFICATION_CHECKS
 };
\ No newline at end of file
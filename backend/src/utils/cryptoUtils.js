@@ -89,25 +89,168 @@ class CryptoUtils {
 		}
 	}
 
+	// Generate Ed25519 key pair identifying a P2P node (public key as base64 SPKI DER)
+	static generateNodeKeyPair() {
+		const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+		return {
+			publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+			privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' })
+		};
+	}
+
+	// Public key (base64 SPKI DER) of a node's Ed25519 private key
+	static getNodePublicKey(privateKeyPem) {
+		let privateKey;
+		try {
+			privateKey = crypto.createPrivateKey(privateKeyPem);
+		} catch (error) {
+			throw new CryptoError(`Invalid node private key: ${error.message}`);
+		}
+		if (privateKey.asymmetricKeyType !== 'ed25519') {
+			throw new CryptoError(`Invalid node private key: expected ed25519, got ${privateKey.asymmetricKeyType}`);
+		}
+		return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+	}
+
+	// Sign P2P data with the node's Ed25519 private key (base64 signature)
+	static signWithNodeKey(privateKeyPem, data) {
+		try {
+			return crypto.sign(null, Buffer.from(data), privateKeyPem).toString('base64');
+		} catch (error) {
+			logger.security.logCryptoOperation('NODE_SIGN', false, { error: error.message });
+			throw new CryptoError(`Node signature creation failed: ${error.message}`);
+		}
+	}
+
+	// Verify P2P data signed by a node (public key as base64 SPKI DER)
+	static verifyNodeSignature(publicKeyBase64, data, signatureBase64) {
+		try {
+			const publicKey = crypto.createPublicKey({ key: Buffer.from(publicKeyBase64, 'base64'), format: 'der', type: 'spki' });
+			return crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signatureBase64, 'base64'));
+		} catch (error) {
+			logger.security.logCryptoOperation('NODE_VERIFY_SIGNATURE', false, { error: error.message });
+			return false;
+		}
+	}
+
 	// Calculate SHA-256 hash
 	static calculateHash = (data) => crypto.createHash('sha256').update(data).digest('hex');
 
-	// Costruisce l'input per l'hash del blocco (fondamentale per l'integrità)
+	// Proof-of-Work: l'hash, letto come intero a 256 bit, deve essere inferiore al target 2^(256 - bits),
+	// cioè iniziare con almeno 'bits' bit a zero
+	static meetsDifficulty(hashHex, bits) {
+		if (typeof hashHex !== 'string' || !/^[0-9a-f]{64}$/.test(hashHex) || !Number.isInteger(bits) || bits < 1 || bits > 256) {
+			return false;
+		}
+		return BigInt(`0x${hashHex}`) < (1n << BigInt(256 - bits));
+	}
+
+	// Hash di un record cifrato: SHA-256 di dati, IV e chiave cifrata.
+	// È l'impegno sul payload degli header versione 2 e la foglia del Merkle tree dalla versione 3.
+	static calculateRecordHash(record) {
+		return CryptoUtils.calculateHash([
+			Buffer.from(record.encrypted_data).toString('hex'),
+			Buffer.from(record.data_iv).toString('hex'),
+			Buffer.from(record.encrypted_data_key).toString('hex'),
+		].join('|'));
+	}
+
+	// Livelli del Merkle tree dalle foglie alla radice: ogni nodo è SHA-256 della concatenazione
+	// degli hash (hex) dei figli; un nodo senza fratello sale invariato al livello successivo
+	static buildMerkleLevels(leafHashes) {
+		const levels = [leafHashes];
+		while (levels[levels.length - 1].length > 1) {
+			const level = levels[levels.length - 1];
+			const next = [];
+			for (let i = 0; i < level.length; i += 2) {
+				next.push(i + 1 < level.length ? CryptoUtils.calculateHash(level[i] + level[i + 1]) : level[i]);
+			}
+			levels.push(next);
+		}
+		return levels;
+	}
+
+	static calculateMerkleRoot(leafHashes) {
+		if (leafHashes.length === 0) return null;
+		const levels = CryptoUtils.buildMerkleLevels(leafHashes);
+		return levels[levels.length - 1][0];
+	}
+
+	// Prova di inclusione della foglia all'indice dato: fratelli dal basso verso l'alto con la loro posizione
+	static buildMerkleProof(leafHashes, index) {
+		const proof = [];
+		let position = index;
+		for (const level of CryptoUtils.buildMerkleLevels(leafHashes).slice(0, -1)) {
+			const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+			if (siblingIndex < level.length) {
+				proof.push({ hash: level[siblingIndex], position: position % 2 === 0 ? 'right' : 'left' });
+			}
+			position = Math.floor(position / 2);
+		}
+		return proof;
+	}
+
+	static verifyMerkleProof(leafHash, proof, merkleRoot) {
+		const computed = proof.reduce((hash, step) => (
+			step.position === 'left' ? CryptoUtils.calculateHash(step.hash + hash) : CryptoUtils.calculateHash(hash + step.hash)
+		), leafHash);
+		return CryptoUtils.timeSafeEqual(computed, merkleRoot || '');
+	}
+
+	// Costruisce l'input per l'hash del blocco (fondamentale per l'integrità).
+	// Deve restare identico a buildHashInput in frontend/src/utils/cryptoUtils.js.
+	// - versione 1 (blocchi storici): previous_hash, payload, nonce, timestamp, creator, difficoltà
+	// - versione 2: header canonico versione|altezza|genitore|impegno sul payload|timestamp|creator|difficoltà|nonce
+	// - versione 3: come la 2, con la Merkle root dei record del blocco come impegno sul payload
+	// - versione 4: come la 3; la difficoltà è in bit a zero iniziali dell'hash invece che in cifre esadecimali
+	// - versione 5: come la 4; cambia solo il messaggio firmato dal creator (vedi buildSigningInput)
 	static buildHashInput(blockData) {
 		const createdAtISO = blockData.created_at instanceof Date ? blockData.created_at.toISOString() : blockData.created_at;
+		const version = Number(blockData.version || 1);
+
+		if (version === 1) {
+			return [
+				blockData.previous_hash || '0'.repeat(64),
+				Buffer.from(blockData.encrypted_data).toString('hex'),
+				Buffer.from(blockData.data_iv).toString('hex'),
+				Buffer.from(blockData.encrypted_data_key).toString('hex'),
+				blockData.nonce.toString(),
+				createdAtISO, // Usa ISO stringa consistente
+				blockData.creator_id,
+				blockData.difficulty.toString(),
+			].join('|');
+		}
 
 		return [
+			version.toString(),
+			blockData.block_number.toString(),
 			blockData.previous_hash || '0'.repeat(64),
-			Buffer.from(blockData.encrypted_data).toString('hex'),
-			Buffer.from(blockData.data_iv).toString('hex'),
-			Buffer.from(blockData.encrypted_data_key).toString('hex'),
-			blockData.nonce.toString(),
-			createdAtISO, // Usa ISO stringa consistente
+			version >= 3 ? blockData.merkle_root : (blockData.payload_commitment || CryptoUtils.calculateRecordHash(blockData)),
+			createdAtISO,
 			blockData.creator_id,
 			blockData.difficulty.toString(),
+			blockData.nonce.toString(),
 		].join('|');
 	}
 
+	// Messaggio firmato dal creator. Deve restare identico a buildSigningInput in frontend/src/utils/cryptoUtils.js.
+	// - fino alla versione 4: l'hash del blocco, quindi la firma è possibile solo dopo il mining
+	// - versione 5: versione|creator|Merkle root. La firma autorizza il payload cifrato indipendentemente da
+	//   genitore, timestamp e nonce, così il mining può essere delegato a un nodo (vedi services/miningJobs.js)
+	static buildSigningInput(blockData) {
+		const version = Number(blockData.version || 1);
+		if (version < 5) {
+			return blockData.block_hash;
+		}
+		return [version.toString(), blockData.creator_id, blockData.merkle_root].join('|');
+	}
+
+	// Messaggio firmato dal creator per annullare un proprio job di mining delegato (vedi MiningJobs.cancel).
+	// Deve restare identico a buildCancelJobInput in frontend/src/utils/cryptoUtils.js.
+	static buildCancelJobInput(jobId) {
+		return ['cancel-mining-job', jobId].join('|');
+	}
+
 	// Validate RSA public key (per la registrazione)
 	static validatePublicKeyPem(publicKeyPem) {
 		try {
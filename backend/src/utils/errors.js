@@ -38,8 +38,8 @@ class NotFoundError extends AppError {
 }
 
 class ConflictError extends AppError {
-	constructor(message = 'Resource conflict') {
-		super(message, 409, 'CONFLICT_ERROR');
+	constructor(message = 'Resource conflict', details = null) {
+		super(message, 409, 'CONFLICT_ERROR', details);
 	}
 }
 
@@ -67,6 +67,24 @@ class BlockchainError extends AppError {
 	}
 }
 
+class BlockValidationError extends AppError {
+	constructor(message = 'Block validation failed', reason = null) {
+		super(message, 400, 'BLOCK_VALIDATION_ERROR', reason ? { reason } : null);
+	}
+}
+
+class ServiceUnavailableError extends AppError {
+	constructor(message = 'Service unavailable') {
+		super(message, 503, 'SERVICE_UNAVAILABLE');
+	}
+}
+
+class TooManyRequestsError extends AppError {
+	constructor(message = 'Too many requests', details = null) {
+		super(message, 429, 'TOO_MANY_REQUESTS', details);
+	}
+}
+
 // Error response formatter
 const formatErrorResponse = (error) => {
 	const response = {
@@ -169,6 +187,9 @@ module.exports = {
 	MiningError,
 	DatabaseError,
 	BlockchainError,
+	BlockValidationError,
+	ServiceUnavailableError,
+	TooManyRequestsError,
 	formatErrorResponse,
 	asyncHandler,
 	globalErrorHandler
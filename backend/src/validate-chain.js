@@ -0,0 +1,102 @@
+// Verifica da riga di comando della catena principale salvata nel DB del nodo (DATABASE_URL), con le stesse
+// regole di commit API, P2P e verifier (services/blockValidation.js). Sola lettura: non modifica lo stato dei
+// blocchi e non registra verifiche; per un audit registrato e firmato usare POST /admin/audits.
+//
+// Uso: npm run validate-chain -- [--from <altezza>] [--json]
+// Exit code: 0 catena valida, 1 almeno un blocco non valido, 2 errore durante la verifica.
+
+process.env.LOG_LEVEL ??= 'error'; // I dettagli dei controlli falliti sono già nel riepilogo
+
+const { pool } = require('./database/db');
+const { BlockchainValidator } = require('./services/verifier');
+const { CHAIN_AUDIT_BATCH_SIZE } = require('./config');
+
+function parseArgs(argv) {
+    const options = { from: 1, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--from') {
+            options.from = parseInt(argv[++i], 10);
+        } else {
+            throw new Error(`Unknown argument ${argv[i]}`);
+        }
+    }
+    if (!Number.isInteger(options.from) || options.from < 1) {
+        throw new Error('--from must be a block height >= 1');
+    }
+    return options;
+}
+
+async function validateChain({ from }) {
+    // Nessun worker: la CLI non serve richieste, i controlli possono girare nel thread principale
+    const validator = new BlockchainValidator(pool, { concurrency: 0 });
+    const failures = [];
+    let blocksChecked = 0;
+    let lastBlockNumber = from - 1;
+    let previousBlock = from > 1
+        ? (await validator.loadPreviousBlocks([{ block_number: from }])).get(String(from - 1)) || null
+        : null;
+
+    while (true) {
+        const blocks = await validator.loadChainBatch(lastBlockNumber, CHAIN_AUDIT_BATCH_SIZE);
+        if (blocks.length === 0) break;
+
+        const [ancestorRules, publicKeys] = await Promise.all([
+            validator.loadAncestorRules(blocks),
+            validator.getCreatorPublicKeys(blocks.map(block => block.creator_id))
+        ]);
+        for (const block of blocks) {
+            const rules = ancestorRules.get(block.block_number.toString());
+            const verification = await validator.checkBlock(block, { previousBlock, rules, publicKeys });
+            if (!verification.valid) {
+                failures.push({
+                    block_number: block.block_number.toString(),
+                    block_hash: block.block_hash,
+                    failed_checks: verification.checks.filter(check => !check.passed)
+                });
+            }
+            blocksChecked++;
+            previousBlock = block;
+        }
+        lastBlockNumber = previousBlock.block_number;
+    }
+
+    return {
+        from,
+        chain_height: previousBlock ? previousBlock.block_number.toString() : '0',
+        blocks_checked: blocksChecked,
+        valid: failures.length === 0,
+        failures
+    };
+}
+
+function printReport(report) {
+    console.log(`Checked ${report.blocks_checked} blocks (#${report.from} to #${report.chain_height}).`);
+    for (const failure of report.failures) {
+        console.log(`Block #${failure.block_number} (${failure.block_hash}):`);
+        failure.failed_checks.forEach(check => console.log(`  - ${check.check}: ${check.detail}`));
+    }
+    console.log(report.valid ? 'Chain is valid.' : `Chain is INVALID: ${report.failures.length} invalid blocks.`);
+}
+
+async function main() {
+    let exitCode = 2;
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const report = await validateChain(options);
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        exitCode = report.valid ? 0 : 1;
+    } catch (error) {
+        console.error(`Chain validation failed: ${error.message}`);
+    } finally {
+        await pool.end();
+    }
+    process.exit(exitCode);
+}
+
+main();
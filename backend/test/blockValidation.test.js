@@ -0,0 +1,383 @@
+// Test delle regole di validità dei blocchi (services/blockValidation.js): per ogni regola un caso valido e i casi
+// che devono fallire. I blocchi sono minati davvero con difficoltà bassa, senza DB né rete.
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const CryptoUtils = require('../src/utils/cryptoUtils');
+const { DIFFICULTY_BITS, MAX_FUTURE_BLOCK_TIME_MS, MEDIAN_TIME_SPAN } = require('../src/config');
+const {
+    VERIFICATION_CHECKS,
+    checkMerkleRoot,
+    checkHash,
+    checkProofOfWork,
+    checkDifficulty,
+    checkChainIntegrity,
+    getMedianTimePast,
+    checkTimestamp,
+    checkSignature,
+    checkUniquePayload,
+    checkDataIntegrity,
+    runBlockChecks,
+    validateBlock,
+    validateChain
+} = require('../src/services/blockValidation');
+
+const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const makeRecord = () => ({
+    encrypted_data: crypto.randomBytes(40),
+    data_iv: crypto.randomBytes(16),
+    encrypted_data_key: crypto.randomBytes(256),
+    data_size: 312
+});
+
+let keys;
+let otherKeys;
+const creatorId = crypto.randomUUID();
+const START_TIME = Date.now() - 60 * 60 * 1000;
+
+// Blocco minato sopra parent (null per il genesis). difficulty è in bit dalla versione 4, in cifre esadecimali prima.
+// payload: { records, signature } di un altro blocco versione 5 da riusare
+function mineBlock({ parent = null, version = 5, difficulty = 8, createdAt = null, records = null, payload = null } = {}) {
+    const blockRecords = payload ? payload.records : (records || [makeRecord(), makeRecord()]);
+    const block = {
+        version,
+        block_number: parent ? (BigInt(parent.block_number) + 1n).toString() : '1',
+        previous_hash: parent ? parent.block_hash : null,
+        records: blockRecords,
+        record_count: blockRecords.length,
+        merkle_root: CryptoUtils.calculateMerkleRoot(blockRecords.map(record => CryptoUtils.calculateRecordHash(record))),
+        created_at: createdAt || new Date(parent ? new Date(parent.created_at).getTime() + 1000 : START_TIME).toISOString(),
+        creator_id: creatorId,
+        difficulty
+    };
+    const bits = version >= 4 ? difficulty : difficulty * 4;
+    for (let nonce = 0; ; nonce++) {
+        block.nonce = nonce.toString();
+        const hash = CryptoUtils.calculateHash(CryptoUtils.buildHashInput(block));
+        if (CryptoUtils.meetsDifficulty(hash, bits)) {
+            block.block_hash = hash;
+            break;
+        }
+    }
+    block.signature = payload ? payload.signature : CryptoUtils.signData(keys.privateKey, CryptoUtils.buildSigningInput(block));
+    return block;
+}
+
+before(() => {
+    keys = generateKeyPair();
+    otherKeys = generateKeyPair();
+});
+
+describe('merkle_root', () => {
+    it('passes when the root matches the records', () => {
+        assert.equal(checkMerkleRoot(mineBlock()).passed, true);
+    });
+
+    it('fails when a record has been tampered with', () => {
+        const block = mineBlock();
+        const records = [...block.records];
+        records[1] = { ...records[1], encrypted_data: crypto.randomBytes(40) };
+        const result = checkMerkleRoot({ ...block, records });
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Merkle root mismatch/);
+    });
+
+    it('fails when the record count differs from the declared one', () => {
+        const result = checkMerkleRoot({ ...mineBlock(), record_count: 3 });
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Expected 3 records, found 2/);
+    });
+
+    it('fails without records', () => {
+        assert.equal(checkMerkleRoot({ ...mineBlock(), records: [] }).passed, false);
+    });
+
+    it('is skipped for blocks before version 3', () => {
+        const { checks } = runBlockChecks({ version: 2, records: [] }, {}, ['merkle_root']);
+        assert.deepEqual(checks, []);
+    });
+});
+
+describe('hash', () => {
+    it('passes when the stored hash matches the header', () => {
+        assert.equal(checkHash(mineBlock()).passed, true);
+    });
+
+    it('fails when a header field has changed', () => {
+        const block = mineBlock();
+        const result = checkHash({ ...block, nonce: (Number(block.nonce) + 1).toString() });
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Hash mismatch/);
+    });
+
+    it('fails for an unsupported version', () => {
+        const result = checkHash({ ...mineBlock(), version: 99 });
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Unsupported block version 99/);
+    });
+});
+
+describe('proof_of_work', () => {
+    it('passes when the hash meets the declared difficulty', () => {
+        assert.equal(checkProofOfWork(mineBlock({ difficulty: 8 })).passed, true);
+    });
+
+    it('reads the difficulty as hex digits before version 4', () => {
+        const block = mineBlock({ version: 3, difficulty: 2 });
+        assert.equal(checkProofOfWork(block).passed, true);
+        assert.ok(block.block_hash.startsWith('00'));
+    });
+
+    it('fails when the hash does not meet the declared difficulty', () => {
+        const result = checkProofOfWork({ ...mineBlock({ difficulty: 8 }), difficulty: 40 });
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /does not start with 40 zero bits/);
+    });
+});
+
+describe('difficulty', () => {
+    it('passes when the block declares the required difficulty', () => {
+        assert.equal(checkDifficulty(mineBlock({ difficulty: 8 }), 8).passed, true);
+    });
+
+    it('fails when the block declares a lower difficulty', () => {
+        const result = checkDifficulty(mineBlock({ difficulty: 8 }), 10);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /8 bits does not match the required 10 bits/);
+    });
+
+    it('fails when the block declares a higher difficulty', () => {
+        assert.equal(checkDifficulty(mineBlock({ difficulty: 8 }), 6).passed, false);
+    });
+
+    it('does not apply to blocks before the retargeting version on a parent of the same kind', () => {
+        const parent = mineBlock({ version: 3, difficulty: 1 });
+        assert.equal(checkDifficulty(mineBlock({ parent, version: 3, difficulty: 1 }), 16, parent).passed, true);
+    });
+
+    it('rejects a low-difficulty version 1 block on a version 5 tip', () => {
+        const tip = mineBlock({ version: 5 });
+        const block = { ...mineBlock({ parent: tip, version: 3, difficulty: 1 }), version: 1 };
+        const result = checkDifficulty(block, 8, tip);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Block version 1 predates difficulty retargeting and cannot extend a version 5 block/);
+    });
+
+    it('rejects a low-difficulty version 1 block on an empty chain', () => {
+        const block = { ...mineBlock({ version: 3, difficulty: 1 }), version: 1 };
+        const result = checkDifficulty(block, DIFFICULTY_BITS, null);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Block version 1 predates difficulty retargeting and cannot start a chain/);
+    });
+
+    it('is not applied without a required difficulty', () => {
+        assert.equal(checkDifficulty(mineBlock({ difficulty: 8 }), null).passed, true);
+    });
+});
+
+describe('chain_integrity', () => {
+    it('passes for a genesis block and for a block linked to its parent', () => {
+        const genesis = mineBlock();
+        assert.equal(checkChainIntegrity(genesis, null).passed, true);
+        assert.equal(checkChainIntegrity(mineBlock({ parent: genesis }), genesis).passed, true);
+    });
+
+    it('fails when the parent is missing', () => {
+        const child = mineBlock({ parent: mineBlock() });
+        const result = checkChainIntegrity(child, null);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /No previous block \(#1\) found/);
+    });
+
+    it('fails for a genesis block with a height other than 1', () => {
+        assert.equal(checkChainIntegrity({ ...mineBlock(), block_number: '2' }, null).passed, false);
+    });
+
+    it('fails when the height does not follow the parent', () => {
+        const genesis = mineBlock();
+        const result = checkChainIntegrity({ ...mineBlock({ parent: genesis }), block_number: '3' }, genesis);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Unexpected block number 3, expected 2/);
+    });
+
+    it('fails when previous_hash is not the parent hash', () => {
+        const genesis = mineBlock();
+        const result = checkChainIntegrity(mineBlock({ parent: mineBlock() }), genesis);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /Previous hash mismatch/);
+    });
+
+    it('fails when the version is older than the parent', () => {
+        const genesis = mineBlock({ version: 5 });
+        const result = checkChainIntegrity(mineBlock({ parent: genesis, version: 4 }), genesis);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /older than its parent/);
+    });
+});
+
+describe('timestamp', () => {
+    const now = Date.now();
+
+    it('uses the median of the last MEDIAN_TIME_SPAN timestamps', () => {
+        const timestamps = Array.from({ length: MEDIAN_TIME_SPAN + 4 }, (_, i) => new Date(START_TIME + i * 1000).toISOString());
+        assert.equal(getMedianTimePast(timestamps), START_TIME + (4 + Math.floor(MEDIAN_TIME_SPAN / 2)) * 1000);
+        assert.equal(getMedianTimePast([]), null);
+    });
+
+    it('passes after the median time past and within the allowed drift', () => {
+        const block = mineBlock({ createdAt: new Date(now).toISOString() });
+        assert.equal(checkTimestamp(block, now - 1000, now).passed, true);
+        assert.equal(checkTimestamp(block, null, now).passed, true);
+    });
+
+    it('fails at or before the median time past', () => {
+        const block = mineBlock({ createdAt: new Date(now).toISOString() });
+        const result = checkTimestamp(block, now, now);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /is not after the median time past/);
+    });
+
+    it('fails too far in the future', () => {
+        const block = mineBlock({ createdAt: new Date(now + MAX_FUTURE_BLOCK_TIME_MS + 1000).toISOString() });
+        const result = checkTimestamp(block, null, now);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /too far in the future/);
+    });
+
+    it('fails for an invalid date', () => {
+        assert.equal(checkTimestamp({ ...mineBlock(), created_at: 'not a date' }, null, now).passed, false);
+    });
+});
+
+describe('signature', () => {
+    it('passes for a version 5 block signed over its payload', () => {
+        assert.equal(checkSignature(mineBlock({ version: 5 }), keys.publicKey).passed, true);
+    });
+
+    it('passes for a version 4 block signed over its hash', () => {
+        const block = mineBlock({ version: 4 });
+        assert.equal(CryptoUtils.buildSigningInput(block), block.block_hash);
+        assert.equal(checkSignature(block, keys.publicKey).passed, true);
+    });
+
+    it('fails with another creator key', () => {
+        const result = checkSignature(mineBlock(), otherKeys.publicKey);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /does not match the creator public key/);
+    });
+
+    it('fails when a version 5 payload changes', () => {
+        const block = mineBlock();
+        assert.equal(checkSignature({ ...block, merkle_root: 'ab'.repeat(32) }, keys.publicKey).passed, false);
+    });
+
+    it('fails for an unknown or inactive creator', () => {
+        assert.match(checkSignature(mineBlock(), null).detail, /not found or inactive/);
+        assert.match(checkSignature({ ...mineBlock(), creator_id: null }, keys.publicKey).detail, /no creator/);
+    });
+});
+
+describe('unique_payload', () => {
+    it('passes when the payload is not already in the chain', () => {
+        assert.equal(checkUniquePayload(mineBlock(), false).passed, true);
+        assert.equal(checkUniquePayload(mineBlock(), null).passed, true);
+    });
+
+    it('fails for a version 5 payload already in the chain', () => {
+        const block = mineBlock();
+        const result = checkUniquePayload(block, true);
+        assert.equal(result.passed, false);
+        assert.equal(result.detail, `Payload ${block.merkle_root} is already in the chain`);
+    });
+
+    it('does not apply to blocks signed over their hash', () => {
+        assert.equal(checkUniquePayload(mineBlock({ version: 4 }), true).passed, true);
+    });
+
+    it('rejects a signed payload replayed on another parent', () => {
+        const genesis = mineBlock({ difficulty: DIFFICULTY_BITS });
+        const second = mineBlock({ parent: genesis, difficulty: DIFFICULTY_BITS });
+        const replay = mineBlock({ parent: second, difficulty: DIFFICULTY_BITS, payload: second });
+        const publicKeys = new Map([[creatorId, keys.publicKey]]);
+
+        // La firma copre solo il payload: resta valida anche sul nuovo blocco
+        assert.equal(checkSignature(replay, keys.publicKey).passed, true);
+        assert.deepEqual(validateChain([genesis, second], publicKeys), { valid: true });
+        const result = validateChain([genesis, second, replay], publicKeys);
+        assert.equal(result.valid, false);
+        assert.equal(result.index, 2);
+        assert.match(result.reason, /is already in the chain/);
+    });
+});
+
+describe('data_integrity', () => {
+    it('passes for well-formed records', () => {
+        assert.equal(checkDataIntegrity(mineBlock()).passed, true);
+    });
+
+    it('fails when the declared size does not match the buffers', () => {
+        const block = mineBlock({ records: [{ ...makeRecord(), data_size: 10000 }] });
+        const result = checkDataIntegrity(block);
+        assert.equal(result.passed, false);
+        assert.match(result.detail, /^Record 0: Data size mismatch/);
+    });
+
+    it('fails for an IV that is not 16 bytes', () => {
+        const block = mineBlock({ records: [makeRecord(), { ...makeRecord(), data_iv: crypto.randomBytes(12) }] });
+        assert.match(checkDataIntegrity(block).detail, /^Record 1: Invalid IV size: 12/);
+    });
+
+    it('fails when the encrypted data cannot contain the auth tag', () => {
+        const block = mineBlock({ records: [{ ...makeRecord(), encrypted_data: crypto.randomBytes(8), data_size: 280 }] });
+        assert.match(checkDataIntegrity(block).detail, /too small to contain auth tag/);
+    });
+});
+
+describe('runBlockChecks', () => {
+    it('runs every rule in order and reports the first failure', () => {
+        const genesis = mineBlock({ difficulty: DIFFICULTY_BITS });
+        const block = mineBlock({ parent: genesis, difficulty: DIFFICULTY_BITS });
+        const context = { previousBlock: genesis, requiredDifficulty: DIFFICULTY_BITS, publicKeyPem: keys.publicKey, payloadInChain: false };
+
+        const passed = runBlockChecks(block, context);
+        assert.equal(passed.valid, true);
+        assert.deepEqual(passed.checks.map(check => check.check), VERIFICATION_CHECKS);
+
+        const failed = runBlockChecks(block, { ...context, publicKeyPem: otherKeys.publicKey, payloadInChain: true });
+        assert.equal(failed.valid, false);
+        assert.match(failed.reason, /does not match the creator public key/);
+        assert.deepEqual(failed.checks.filter(check => !check.passed).map(check => check.check), ['signature', 'unique_payload']);
+    });
+
+    it('turns an exception into a failure of that rule only', () => {
+        const { checks } = runBlockChecks({ ...mineBlock(), created_at: undefined, block_number: 'x' }, {}, ['chain_integrity', 'proof_of_work']);
+        assert.equal(checks[0].passed, false);
+        assert.match(checks[0].detail, /^Verification error/);
+        assert.equal(checks[1].passed, true);
+    });
+
+    it('validateBlock rejects blocks without the essential fields', () => {
+        assert.deepEqual(validateBlock({ ...mineBlock(), nonce: null }, [], keys.publicKey), {
+            valid: false,
+            reason: 'Missing essential fields (hash, number, nonce)'
+        });
+    });
+
+    it('validateChain reports the first invalid block', () => {
+        const genesis = mineBlock({ difficulty: DIFFICULTY_BITS });
+        const second = mineBlock({ parent: genesis, difficulty: DIFFICULTY_BITS });
+        const publicKeys = new Map([[creatorId, keys.publicKey]]);
+
+        assert.deepEqual(validateChain([genesis, second], publicKeys), { valid: true });
+        const result = validateChain([genesis, { ...second, previous_hash: 'ab'.repeat(32) }], publicKeys);
+        assert.equal(result.valid, false);
+        assert.equal(result.index, 1);
+        assert.match(result.reason, /^Block #2: /);
+    });
+});
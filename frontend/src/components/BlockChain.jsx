@@ -13,13 +13,115 @@ import {
   ChevronDown,
   ChevronUp,
   Eye,
-  Database
+  Database,
+  XCircle
 } from 'lucide-react';
 import { apiCall } from '../utils/api';
+import { getDifficultyBits } from '../utils/cryptoUtils';
+
+// Stato di verifica del blocco restituito dal backend (status)
+const BLOCK_STATUS = {
+  pending: { label: 'Pendente', icon: Clock, text: 'text-yellow-600', bg: 'bg-yellow-100' },
+  valid: { label: 'Sì', icon: CheckCircle, text: 'text-green-600', bg: 'bg-green-100' },
+  invalid: { label: 'Non superata', icon: XCircle, text: 'text-red-600', bg: 'bg-red-100' }
+};
+
+// Etichette dei controlli eseguiti dal verifier (vedi VERIFICATION_CHECKS nel backend)
+const CHECK_LABELS = {
+  merkle_root: 'Merkle root dei record',
+  hash: 'Hash del blocco',
+  proof_of_work: 'Proof-of-Work',
+  difficulty: 'Difficoltà richiesta',
+  chain_integrity: 'Collegamento alla catena',
+  timestamp: 'Marca temporale',
+  signature: 'Firma digitale',
+  unique_payload: 'Payload non ripetuto',
+  data_integrity: 'Integrità dei dati',
+};
+
+// Esito dei singoli controlli dell'ultima verifica del blocco
+const VerificationChecks = ({ blockHash }) => {
+  const { data, isLoading, error } = useQuery(
+    ['block-verification', blockHash],
+    () => apiCall(`/blocks/${blockHash}/verification`),
+    { refetchOnWindowFocus: false }
+  );
+
+  if (isLoading) {
+    return <div className="text-xs text-gray-500">Caricamento esito verifica...</div>;
+  }
+  if (error) {
+    return <div className="text-xs text-red-600">Impossibile recuperare l'esito della verifica: {error.message}</div>;
+  }
+  if (!data?.latest) {
+    return <div className="text-xs text-gray-500">Il blocco non è ancora stato verificato.</div>;
+  }
+
+  const { latest } = data;
+  return (
+    <div>
+      <div className="text-xs text-gray-500 mb-2">
+        {latest.source === 'audit' ? 'Audit della catena' : 'Verifica'} del {new Date(latest.verified_at).toLocaleString()}
+        {latest.verifier_node_id && <span className="font-mono"> (nodo {latest.verifier_node_id.substring(0, 8)})</span>}
+      </div>
+      <ul className="space-y-1">
+        {latest.checks.map((check) => (
+          <li key={check.check} className="flex items-start space-x-2 text-sm">
+            {check.passed ? (
+              <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0 mt-0.5" />
+            ) : (
+              <XCircle className="h-4 w-4 text-red-600 flex-shrink-0 mt-0.5" />
+            )}
+            <div>
+              <span className={check.passed ? 'text-gray-700' : 'text-red-700 font-medium'}>
+                {CHECK_LABELS[check.check] || check.check}
+              </span>
+              {check.detail && (
+                <div className="text-xs text-red-600 font-mono break-all">{check.detail}</div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Attestazioni firmate dai nodi che hanno verificato il blocco: raggiunto il quorum il blocco è finale
+const BlockAttestations = ({ blockHash }) => {
+  const { data, isLoading, error } = useQuery(
+    ['block-verification', blockHash],
+    () => apiCall(`/blocks/${blockHash}/verification`),
+    { refetchOnWindowFocus: false }
+  );
+
+  if (isLoading || error || !data) {
+    return null; // Caricamento ed errori sono già mostrati da VerificationChecks
+  }
+
+  return (
+    <div>
+      <div className={`text-sm font-medium mb-2 ${data.finalized ? 'text-green-600' : 'text-yellow-600'}`}>
+        {data.finalized ? 'Finalizzato' : 'Non ancora finalizzato'}: {data.attestation_count} di {data.finality_quorum} attestazioni richieste
+      </div>
+      {data.attestations.length > 0 && (
+        <ul className="space-y-1">
+          {data.attestations.map((attestation) => (
+            <li key={attestation.node_public_key} className="flex items-center space-x-2 text-xs text-gray-600">
+              <Shield className="h-3 w-3 text-green-600 flex-shrink-0" />
+              <span className="font-mono">nodo {attestation.node_id.substring(0, 8)}</span>
+              <span>{new Date(attestation.attested_at).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
 
 const BlockChain = () => {
   const [searchTerm, setSearchTerm] = useState('');
-  const [verifiedFilter, setVerifiedFilter] = useState('all'); // 'all', 'verified', 'unverified'
+  const [verifiedFilter, setVerifiedFilter] = useState('all'); // 'all', 'valid', 'pending', 'invalid'
   const [expandedBlock, setExpandedBlock] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [sortBy, setSortBy] = useState('newest'); // 'newest', 'oldest', 'block_number'
@@ -30,7 +132,7 @@ const BlockChain = () => {
   const { data: blocksData, isLoading, error, refetch } = useQuery(
     ['blocks', currentPage, verifiedFilter, sortBy],
     () => apiCall(`/blocks?page=${currentPage}&limit=${pageSize}${
-      verifiedFilter !== 'all' ? `&verified=${verifiedFilter === 'verified'}` : ''
+      verifiedFilter !== 'all' ? `&verified=${verifiedFilter}` : ''
     }`),
     {
       keepPreviousData: true,
@@ -108,13 +210,18 @@ const BlockChain = () => {
               }
             </span>
           </div>
+
+          <div className="flex justify-between">
+            <span className="text-gray-600">Tentativi:</span>
+            <span className="font-medium">
+              {block.mining_attempts ? Number(block.mining_attempts).toLocaleString() : 'N/A'}
+            </span>
+          </div>
           
           <div className="flex justify-between">
             <span className="text-gray-600">Verificato:</span>
-            <span className={`font-medium ${
-              block.verified ? 'text-green-600' : 'text-yellow-600'
-            }`}>
-              {block.verified ? 'Sì' : 'Pendente'}
+            <span className={`font-medium ${(BLOCK_STATUS[block.status] || BLOCK_STATUS.pending).text}`}>
+              {(BLOCK_STATUS[block.status] || BLOCK_STATUS.pending).label}
               {block.verified_at && (
                 <span className="text-xs text-gray-500 ml-1">
                   ({new Date(block.verified_at).toLocaleDateString()})
@@ -132,9 +239,21 @@ const BlockChain = () => {
           {block.block_hash}
         </div>
         <div className="text-xs text-gray-500 mt-1">
-          Difficoltà {block.difficulty}: Inizia con {block.difficulty} zeri
+          Difficoltà {getDifficultyBits(block)} bit: l'hash inizia con almeno {getDifficultyBits(block)} bit a zero
         </div>
       </div>
+
+      {/* Verification Checks */}
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="text-xs text-gray-600 mb-2">Controlli di Verifica:</div>
+        <VerificationChecks blockHash={block.block_hash} />
+      </div>
+
+      {/* Attestations */}
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="text-xs text-gray-600 mb-2">Attestazioni dei Nodi:</div>
+        <BlockAttestations blockHash={block.block_hash} />
+      </div>
     </div>
   );
 
@@ -189,8 +308,9 @@ const BlockChain = () => {
               className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="all">Tutti i blocchi</option>
-              <option value="verified">Solo verificati</option>
-              <option value="unverified">Non verificati</option>
+              <option value="valid">Solo verificati</option>
+              <option value="pending">In attesa di verifica</option>
+              <option value="invalid">Verifica fallita</option>
             </select>
 
             <select
@@ -218,16 +338,21 @@ const BlockChain = () => {
               
               <div className="text-center">
                 <div className="font-semibold text-lg text-green-600">
-                  {filteredBlocks.filter(b => b.verified).length}
+                  {filteredBlocks.filter(b => b.status === 'valid').length}
                 </div>
                 <div className="text-gray-600">Verificati</div>
               </div>
               
               <div className="text-center">
                 <div className="font-semibold text-lg text-yellow-600">
-                  {filteredBlocks.filter(b => !b.verified).length}
+                  {filteredBlocks.filter(b => b.status === 'pending').length}
                 </div>
                 <div className="text-gray-600">Pendenti</div>
+                {filteredBlocks.some(b => b.status === 'invalid') && (
+                  <div className="text-xs text-red-600">
+                    {filteredBlocks.filter(b => b.status === 'invalid').length} con verifica fallita
+                  </div>
+                )}
               </div>
               
               <div className="text-center">
@@ -272,20 +397,17 @@ const BlockChain = () => {
         </div>
       ) : (
         <div className="space-y-4">
-          {filteredBlocks.map((block) => (
+          {filteredBlocks.map((block) => {
+            const status = BLOCK_STATUS[block.status] || BLOCK_STATUS.pending;
+            const StatusIcon = status.icon;
+            return (
             <div key={block.block_id} className="bg-white rounded-lg shadow hover:shadow-md transition-shadow">
               <div className="p-6">
                 {/* Block Header */}
                 <div className="flex items-center justify-between mb-4">
                   <div className="flex items-center space-x-3">
-                    <div className={`p-2 rounded-full ${
-                      block.verified ? 'bg-green-100' : 'bg-yellow-100'
-                    }`}>
-                      {block.verified ? (
-                        <CheckCircle className="h-5 w-5 text-green-600" />
-                      ) : (
-                        <Clock className="h-5 w-5 text-yellow-600" />
-                      )}
+                    <div className={`p-2 rounded-full ${status.bg}`} title={status.label}>
+                      <StatusIcon className={`h-5 w-5 ${status.text}`} />
                     </div>
                     <div>
                       <h3 className="text-lg font-semibold text-gray-900">
@@ -293,6 +415,16 @@ const BlockChain = () => {
                       </h3>
                       <p className="text-sm text-gray-500">
                         {new Date(block.created_at).toLocaleString()}
+                        {block.finalized ? (
+                          <span className="ml-2 inline-flex items-center text-xs text-green-700 bg-green-100 px-2 py-0.5 rounded-full">
+                            <Shield className="h-3 w-3 mr-1" />
+                            Finalizzato
+                          </span>
+                        ) : (
+                          <span className="ml-2 text-xs text-gray-400">
+                            {block.attestation_count || 0} attestazioni
+                          </span>
+                        )}
                       </p>
                     </div>
                   </div>
@@ -342,7 +474,7 @@ const BlockChain = () => {
                     <div>
                       <div className="text-xs text-gray-500">Difficoltà</div>
                       <div className="font-medium text-sm">
-                        {block.difficulty}
+                        {getDifficultyBits(block)} bit
                       </div>
                     </div>
                   </div>
@@ -352,11 +484,12 @@ const BlockChain = () => {
                 <div className="bg-gray-50 rounded-lg p-3 mb-4">
                   <div className="text-xs text-gray-600 mb-1">Hash del Blocco:</div>
                   <div className="font-mono text-xs break-all">
+                    {/* Cifre esadecimali interamente coperte dai bit a zero richiesti */}
                     <span className="text-green-600 font-bold">
-                      {'0'.repeat(block.difficulty)}
+                      {block.block_hash.substring(0, Math.floor(getDifficultyBits(block) / 4))}
                     </span>
                     <span className="text-gray-800">
-                      {block.block_hash.substring(block.difficulty)}
+                      {block.block_hash.substring(Math.floor(getDifficultyBits(block) / 4))}
                     </span>
                   </div>
                 </div>
@@ -367,7 +500,8 @@ const BlockChain = () => {
                 )}
               </div>
             </div>
-          ))}
+            );
+          })}
         </div>
       )}
 
@@ -1,26 +1,72 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useMutation, useQuery, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
 import {
-    Blocks, User, Lock, Cpu, Clock, Hash, AlertTriangle, CheckCircle, Eye, EyeOff, Upload, Loader2
+    Blocks, User, Lock, Cpu, Clock, Hash, AlertTriangle, CheckCircle, Eye, EyeOff, Upload, Loader2, XCircle, Play, Server
 } from 'lucide-react';
 import { apiCall } from '../utils/api';
 import cryptoUtils from '../utils/cryptoUtils'; // Importa tutte le funzioni crypto
+import {
+    getMiningSession, saveMiningSession, deleteMiningSession,
+    createMiningSession, resetMiningProgress, applyTemplate, getSessionHeader,
+} from '../utils/miningSessions';
 
 // ** NUOVA COSTANTE: Timeout per il mining lato client (in millisecondi) **
 // Si può aggiustare questo valore. 120000 = 2 minuti.
 const CLIENT_SIDE_MINING_TIMEOUT_MS = 120000;
 
+// Numero massimo di record per blocco (deve corrispondere a MAX_RECORDS_PER_BLOCK nel backend)
+const MAX_RECORDS_PER_BLOCK = 64;
+
+// Ogni quanto l'avanzamento del mining viene salvato nella sessione (IndexedDB)
+const MINING_SESSION_SAVE_INTERVAL_MS = 2000;
+// Nuovi template richiesti automaticamente di seguito quando il commit trova la catena avanzata (409)
+const MAX_AUTO_RETEMPLATES = 3;
+// Motivi di un 409 del commit risolti minando lo stesso payload su un nuovo template
+const RETEMPLATE_REASONS = ['STALE_PARENT', 'UNKNOWN_TEMPLATE'];
+// Intervallo di interrogazione dello stato di un job di mining delegato al nodo
+const MINING_JOB_POLL_INTERVAL_MS = 2000;
+
+// Una riga contenente solo '---' separa i record del blocco; ogni record è cifrato separatamente
+const splitRecords = (text) => (text || '')
+    .split(/^---[ \t]*$/m)
+    .map(part => part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''))
+    .filter(part => part.trim().length > 0);
+
 const BlockCreation = () => {
     const [showPrivateKey, setShowPrivateKey] = useState(false);
     const [miningState, setMiningState] = useState({ status: 'idle' }); // idle, preparing, verifying, mining, committing, completed, failed
     const [createdBlock, setCreatedBlock] = useState(null);
-    const [preparationData, setPreparationData] = useState(null); // Dati ricevuti da /prepare-mining
+    const [preparationData, setPreparationData] = useState(null); // Template ricevuto da /blocks/template
+    const [miningProgress, setMiningProgress] = useState(null); // Ultimo avanzamento riportato dal pool di worker
+    const miningAbortRef = useRef(null); // AbortController del mining in corso
+    const [savedSession, setSavedSession] = useState(null); // Sessione di mining salvata in IndexedDB
+    const activeSessionRef = useRef(null); // Sessione in mining o in fase di commit
+    const autoRetemplatesRef = useRef(0);
+    const [miningJobId, setMiningJobId] = useState(null); // Job di mining delegato al nodo in attesa di conclusione
+
+    // Interrompe i worker se si lascia la pagina durante il mining (l'avanzamento resta nella sessione)
+    useEffect(() => () => miningAbortRef.current?.abort(), []);
+
+    // Sessione lasciata da una visita precedente (pagina ricaricata o abbandonata durante il mining)
+    useEffect(() => {
+        getMiningSession().then(setSavedSession).catch(error => console.warn('Mining sessions unavailable:', error));
+    }, []);
 
     const queryClient = useQueryClient();
 
-    const { register, handleSubmit, formState: { errors }, watch, setValue, reset } = useForm();
+    const { register, handleSubmit, formState: { errors }, watch, setValue, getValues, reset } = useForm();
+
+    // Senza IndexedDB il mining funziona comunque, ma non può essere ripreso
+    const persistSession = (session) => {
+        setSavedSession({ ...session, updated_at: new Date().toISOString() });
+        saveMiningSession(session).catch(error => console.warn('Failed to save mining session:', error));
+    };
+    const discardSession = () => {
+        setSavedSession(null);
+        deleteMiningSession().catch(error => console.warn('Failed to delete mining session:', error));
+    };
 
     // Fetch creators list
     const { data: creatorsData, isLoading: loadingCreators } = useQuery(
@@ -29,9 +75,9 @@ const BlockCreation = () => {
         { refetchOnWindowFocus: false }
     );
 
-    // Fase 1: Preparazione Mining
+    // Fase 1: Richiesta del template (genitore e altezza riservati dal nodo)
     const prepareMiningMutation = useMutation(
-        (data) => apiCall('/blocks/prepare-mining', {
+        (data) => apiCall('/blocks/template', {
             method: 'POST',
             body: JSON.stringify(data),
         }),
@@ -56,6 +102,8 @@ const BlockCreation = () => {
         }),
         {
             onSuccess: (response) => {
+                activeSessionRef.current = null;
+                discardSession();
                 setMiningState({ status: 'completed', duration: response.block?.mining_duration_ms || 0 });
                 setCreatedBlock(response.block);
                 toast.success('Blocco creato, minato e salvato con successo!');
@@ -67,15 +115,113 @@ const BlockCreation = () => {
                 setTimeout(() => setMiningState({ status: 'idle' }), 5000);
             },
             onError: (error) => {
+                const session = activeSessionRef.current;
+                activeSessionRef.current = null;
+                // 409: un altro blocco è stato aggiunto mentre si minava (o il template è scaduto):
+                // gli stessi record cifrati vengono minati su un nuovo template
+                const reason = error.details?.reason;
+                if (error.status === 409 && RETEMPLATE_REASONS.includes(reason) && session && autoRetemplatesRef.current < MAX_AUTO_RETEMPLATES) {
+                    const tip = error.details?.tip;
+                    autoRetemplatesRef.current++;
+                    toast(`La catena è avanzata durante il mining${tip ? ` (nuova punta: blocco #${tip.block_number})` : ''}. Mining sul nuovo template...`);
+                    resumeMiningSession(session);
+                    return;
+                }
+                // Payload già nella catena: la sessione non serve più. Blocco rifiutato: la soluzione trovata
+                // non è più utilizzabile, la sessione riparte dal primo nonce
+                if (session && reason === 'DUPLICATE_PAYLOAD') {
+                    discardSession();
+                } else if (session && error.status !== 409) {
+                    persistSession(resetMiningProgress(session));
+                }
                 setMiningState({ status: 'failed', error: error.message });
+                setPreparationData(null);
                 toast.error(`Errore nel commit del blocco: ${error.message}`);
             },
         }
     );
 
+    // Mining delegato: il nodo mina i record già cifrati e firmati nel browser
+    const submitMiningJobMutation = useMutation(
+        (jobData) => apiCall('/mining/jobs', {
+            method: 'POST',
+            body: JSON.stringify(jobData),
+        }),
+        {
+            onSuccess: (response) => {
+                setMiningJobId(response.job.job_id);
+                setMiningState({ status: 'delegated', job: response.job });
+                toast.success('Blocco affidato al nodo per il mining.');
+            },
+            onError: (error) => {
+                setMiningState({ status: 'failed', error: `Errore invio al nodo: ${error.message}` });
+                setPreparationData(null);
+                toast.error(`Errore invio al nodo: ${error.message}`);
+            },
+        }
+    );
+
+    // Stato del job delegato, interrogato finché il blocco non è aggiunto alla catena o il mining fallisce
+    useQuery(
+        ['mining-job', miningJobId],
+        () => apiCall(`/mining/jobs/${miningJobId}`),
+        {
+            enabled: !!miningJobId,
+            refetchInterval: MINING_JOB_POLL_INTERVAL_MS,
+            refetchOnWindowFocus: false,
+            onSuccess: ({ job }) => {
+                if (job.status === 'committed') {
+                    setMiningJobId(null);
+                    setMiningState({ status: 'completed', duration: job.result.mining_duration_ms });
+                    setCreatedBlock({ ...job.result, record_count: job.record_count, creator_name: getValues('display_name') });
+                    toast.success('Blocco minato dal nodo e aggiunto alla catena!');
+                    queryClient.invalidateQueries('blocks');
+                    queryClient.invalidateQueries('dashboard-stats');
+                    reset();
+                    setPreparationData(null);
+                    setTimeout(() => setMiningState({ status: 'idle' }), 5000);
+                } else if (job.status === 'failed') {
+                    setMiningJobId(null);
+                    setMiningState({ status: 'failed', error: `Mining sul nodo fallito: ${job.error}` });
+                    setPreparationData(null);
+                    toast.error(`Mining sul nodo fallito: ${job.error}`);
+                } else if (job.status === 'cancelled') {
+                    setMiningJobId(null);
+                    setMiningState({ status: 'idle' });
+                    setPreparationData(null);
+                    toast('Mining sul nodo annullato.');
+                } else {
+                    setMiningState({ status: 'delegated', job });
+                }
+            },
+            onError: (error) => {
+                setMiningJobId(null);
+                setMiningState({ status: 'failed', error: `Stato del mining sul nodo non disponibile: ${error.message}` });
+                setPreparationData(null);
+            },
+        }
+    );
+
+    // Annullamento del job delegato, firmato con la chiave privata del creator: la risposta riporta lo stato finale
+    // (il blocco può essere già stato aggiunto)
+    const cancelMiningJobMutation = useMutation(
+        async (jobId) => {
+            const signature = await cryptoUtils.signData(getValues('private_key_pem'), cryptoUtils.buildCancelJobInput(jobId));
+            return apiCall(`/mining/jobs/${jobId}`, {
+                method: 'DELETE',
+                body: JSON.stringify({ signature_hex: cryptoUtils.abToHex(signature) }),
+            });
+        },
+        {
+            onSuccess: () => queryClient.invalidateQueries(['mining-job', miningJobId]),
+            onError: (error) => toast.error(`Errore annullamento: ${error.message}`),
+        }
+    );
+
     const selectedCreatorName = watch('display_name');
     const dataText = watch('data_text');
     const privateKeyPem = watch('private_key_pem');
+    const delegateMining = watch('delegate_mining');
 
     // Gestione caricamento file chiave privata
     const handleKeyFileUpload = (event) => {
@@ -118,6 +264,12 @@ const BlockCreation = () => {
              setMiningState({ status: 'idle' });
              return;
         }
+        const recordCount = splitRecords(formData.data_text).length;
+        if (recordCount === 0 || recordCount > MAX_RECORDS_PER_BLOCK) {
+             toast.error(`Un blocco deve contenere da 1 a ${MAX_RECORDS_PER_BLOCK} record (trovati ${recordCount}).`);
+             setMiningState({ status: 'idle' });
+             return;
+        }
         try {
             const isValidKey = await cryptoUtils.validatePrivateKeyPem(formData.private_key_pem);
             if (!isValidKey) {
@@ -152,16 +304,25 @@ const BlockCreation = () => {
                 }
 
                 toast.success('Chiavi verificate con successo!', { id: 'key-verify' });
-                setMiningState({ status: 'mining', startTime: Date.now() });
+                setMiningState({ status: delegateMining ? 'delegating' : 'mining', startTime: Date.now() });
 
-                let encryptedData, iv, encryptedAesKey, dataSize;
+                let records, merkleRoot;
                 try {
-                     const aesKey = cryptoUtils.generateAESKey();
-                     iv = cryptoUtils.generateIV();
-                     const ciphertext = await cryptoUtils.encryptAESData(dataText, aesKey, iv);
-                     encryptedAesKey = await cryptoUtils.encryptAESKeyWithPublicKey(aesKey, preparationData.public_key_pem);
-                     encryptedData = ciphertext;
-                     dataSize = encryptedData.byteLength + iv.byteLength + encryptedAesKey.byteLength;
+                     // Ogni record ha la propria chiave AES e il proprio IV
+                     records = await Promise.all(splitRecords(dataText).map(async (recordText) => {
+                         const aesKey = cryptoUtils.generateAESKey();
+                         const iv = cryptoUtils.generateIV();
+                         const encryptedData = await cryptoUtils.encryptAESData(recordText, aesKey, iv);
+                         const encryptedAesKey = await cryptoUtils.encryptAESKeyWithPublicKey(aesKey, preparationData.public_key_pem);
+                         return {
+                             encrypted_data: encryptedData,
+                             data_iv: iv,
+                             encrypted_data_key: encryptedAesKey,
+                             data_size: encryptedData.byteLength + iv.byteLength + encryptedAesKey.byteLength,
+                         };
+                     }));
+                     const leafHashes = await Promise.all(records.map(cryptoUtils.calculateRecordHash));
+                     merkleRoot = await cryptoUtils.calculateMerkleRoot(leafHashes);
                  } catch (error) {
                      toast.error(`Errore crittografia: ${error.message}`);
                      setMiningState({ status: 'failed', error: `Encryption error: ${error.message}` });
@@ -169,67 +330,223 @@ const BlockCreation = () => {
                      return;
                  }
 
-                try {
-                     const createdAt = new Date();
-                     const blockDataForMining = {
-                         previous_hash: preparationData.previous_hash,
-                         encrypted_data: encryptedData,
-                         data_iv: iv,
-                         encrypted_data_key: encryptedAesKey,
-                         created_at: createdAt,
-                         creator_id: preparationData.creator_id,
-                         difficulty: preparationData.difficulty,
-                     };
-
-                     // Mining lato client con timeout
-                     const miningResult = await cryptoUtils.mineBlock(
-                         blockDataForMining,
-                         preparationData.difficulty,
-                         CLIENT_SIDE_MINING_TIMEOUT_MS // <--- Usa la costante frontend
-                     );
-
-                    let signature;
-                    try {
-                         signature = await cryptoUtils.signData(privateKeyPem, miningResult.hash);
-                    } catch (error) {
-                          toast.error(`Errore firma: ${error.message}`);
-                          setMiningState({ status: 'failed', error: `Signing error: ${error.message}` });
-                          setPreparationData(null);
-                          return;
-                     }
-
-                    const commitData = {
-                         creator_id: preparationData.creator_id,
-                         previous_hash: preparationData.previous_hash,
-                         block_hash: miningResult.hash,
-                         nonce: miningResult.nonce.toString(),
-                         difficulty: preparationData.difficulty,
-                         encrypted_data_hex: cryptoUtils.abToHex(encryptedData),
-                         data_iv_hex: cryptoUtils.abToHex(iv),
-                         encrypted_data_key_hex: cryptoUtils.abToHex(encryptedAesKey),
-                         data_size: dataSize,
-                         signature_hex: cryptoUtils.abToHex(signature),
-                         created_at_iso: createdAt.toISOString(),
-                         mining_duration_ms: miningResult.duration,
-                     };
-
-                     setMiningState({ status: 'committing' });
-                     commitBlockMutation.mutate(commitData);
-
-                 } catch (error) { // Catch mining errors (e.g., timeout)
-                      toast.error(`Errore mining: ${error.message}`);
-                      setMiningState({ status: 'failed', error: `Mining error: ${error.message}` });
-                      setPreparationData(null);
-                 }
+                if (delegateMining) {
+                    await submitMiningJob(preparationData, merkleRoot, records, privateKeyPem);
+                    return;
+                }
+
+                // Da qui il mining procede su una sessione salvata: può essere ripreso se la pagina viene chiusa
+                autoRetemplatesRef.current = 0;
+                const session = createMiningSession({
+                    template: preparationData,
+                    displayName: getValues('display_name'),
+                    createdAt: new Date(),
+                    merkleRoot,
+                    records,
+                });
+                persistSession(session);
+                await runMiningSession(session, privateKeyPem);
             }
         };
 
         performClientSideOperations();
-     }, [miningState.status, preparationData, privateKeyPem, dataText]); // Dipendenze rilevanti
+     }, [miningState.status, preparationData, privateKeyPem, dataText, delegateMining]); // Dipendenze rilevanti
+
+    const toRecordsHex = (records) => records.map(record => ({
+        encrypted_data_hex: cryptoUtils.abToHex(record.encrypted_data),
+        data_iv_hex: cryptoUtils.abToHex(record.data_iv),
+        encrypted_data_key_hex: cryptoUtils.abToHex(record.encrypted_data_key),
+        data_size: record.data_size,
+    }));
+
+    // Mining delegato: la firma copre versione, creator e Merkle root (non l'header minato), quindi il nodo
+    // può scegliere genitore, timestamp e nonce senza la chiave privata
+    const submitMiningJob = async (template, merkleRoot, records, privateKey) => {
+        let signature;
+        try {
+            signature = await cryptoUtils.signData(
+                privateKey,
+                cryptoUtils.buildSigningInput({ version: template.version, creator_id: template.creator_id, merkle_root: merkleRoot })
+            );
+        } catch (error) {
+            toast.error(`Errore firma: ${error.message}`);
+            setMiningState({ status: 'failed', error: `Signing error: ${error.message}` });
+            setPreparationData(null);
+            return;
+        }
 
+        submitMiningJobMutation.mutate({
+            version: template.version,
+            creator_id: template.creator_id,
+            merkle_root: merkleRoot,
+            records: toRecordsHex(records),
+            signature_hex: cryptoUtils.abToHex(signature),
+        });
+    };
+
+
+    // Mina l'header della sessione dal primo nonce non ancora provato, poi firma e invia il blocco
+    const runMiningSession = async (session, privateKey) => {
+        activeSessionRef.current = session;
+        if (!session.solution) {
+            setMiningState({ status: 'mining', startTime: Date.now() });
+            setMiningProgress(null);
+            const abortController = new AbortController();
+            miningAbortRef.current = abortController;
+            let lastProgress = null;
+            let lastSavedAt = Date.now();
+            // Avanzamento complessivo della sessione, comprese le esecuzioni precedenti
+            const withProgress = (progress) => ({
+                ...session,
+                next_nonce: progress.nextNonce,
+                attempts: session.attempts + progress.attempts,
+                mining_elapsed_ms: session.mining_elapsed_ms + progress.elapsed,
+            });
+
+            try {
+                const miningResult = await cryptoUtils.mineBlock(
+                    getSessionHeader(session),
+                    session.template.difficulty,
+                    CLIENT_SIDE_MINING_TIMEOUT_MS,
+                    {
+                        startNonce: session.next_nonce,
+                        signal: abortController.signal,
+                        onProgress: (progress) => {
+                            lastProgress = progress;
+                            const current = withProgress(progress);
+                            setMiningProgress({ ...progress, attempts: current.attempts, elapsed: current.mining_elapsed_ms });
+                            if (Date.now() - lastSavedAt >= MINING_SESSION_SAVE_INTERVAL_MS) {
+                                lastSavedAt = Date.now();
+                                persistSession(current);
+                            }
+                        },
+                    }
+                );
+                session = { ...withProgress(lastProgress), solution: { nonce: miningResult.nonce, hash: miningResult.hash } };
+                persistSession(session);
+            } catch (error) { // Timeout, annullamento o errore di un worker: si salva il punto raggiunto
+                activeSessionRef.current = null;
+                if (lastProgress) persistSession(withProgress(lastProgress));
+                setPreparationData(null);
+                if (error.name === 'AbortError') {
+                    toast('Mining sospeso: puoi riprenderlo dalla sessione salvata.');
+                    setMiningState({ status: 'idle' });
+                    return;
+                }
+                toast.error(`Errore mining: ${error.message}`);
+                setMiningState({ status: 'failed', error: `Mining error: ${error.message}. Il mining può essere ripreso dalla sessione salvata.` });
+                return;
+            } finally {
+                miningAbortRef.current = null;
+            }
+            activeSessionRef.current = session;
+        }
+
+        let signature;
+        try {
+            signature = await cryptoUtils.signData(
+                privateKey,
+                cryptoUtils.buildSigningInput({ ...getSessionHeader(session), block_hash: session.solution.hash })
+            );
+        } catch (error) {
+            activeSessionRef.current = null;
+            toast.error(`Errore firma: ${error.message}`);
+            setMiningState({ status: 'failed', error: `Signing error: ${error.message}` });
+            setPreparationData(null);
+            return;
+        }
+
+        const commitData = {
+            template_id: session.template.template_id,
+            version: session.template.version,
+            creator_id: session.creator_id,
+            previous_hash: session.template.previous_hash,
+            block_hash: session.solution.hash,
+            nonce: session.solution.nonce,
+            difficulty: session.template.difficulty,
+            merkle_root: session.merkle_root,
+            records: toRecordsHex(session.records),
+            signature_hex: cryptoUtils.abToHex(signature),
+            created_at_iso: session.created_at,
+            mining_duration_ms: session.mining_elapsed_ms,
+            mining_attempts: session.attempts,
+        };
+
+        setMiningState({ status: 'committing' });
+        commitBlockMutation.mutate(commitData);
+    };
+
+    // Riprende una sessione salvata con un nuovo template: se la punta della catena è cambiata lo stesso payload
+    // cifrato viene minato sul nuovo genitore, altrimenti si continua dal primo nonce non provato
+    const resumeMiningSession = async (session) => {
+        const privateKey = getValues('private_key_pem');
+        if (!privateKey || !(await cryptoUtils.validatePrivateKeyPem(privateKey))) {
+            toast.error('Inserisci la chiave privata del creator per riprendere il mining.');
+            setMiningState({ status: 'idle' });
+            return;
+        }
+        setCreatedBlock(null);
+        setMiningState({ status: 'preparing' });
+
+        let template;
+        try {
+            template = await apiCall('/blocks/template', {
+                method: 'POST',
+                body: JSON.stringify({ display_name: session.display_name }),
+            });
+        } catch (error) {
+            setMiningState({ status: 'failed', error: `Errore preparazione mining: ${error.message}` });
+            toast.error(`Errore preparazione mining: ${error.message}`);
+            return;
+        }
+        // I record sono cifrati per la chiave pubblica salvata nella sessione
+        if (template.creator_id !== session.creator_id || template.public_key_pem !== session.public_key_pem) {
+            const message = 'La chiave pubblica del creator è cambiata: i record cifrati della sessione non sono più utilizzabili.';
+            setMiningState({ status: 'failed', error: message });
+            toast.error(message);
+            return;
+        }
+        if (!(await cryptoUtils.verifyKeyPair(session.public_key_pem, privateKey))) {
+            setMiningState({ status: 'failed', error: 'Key mismatch' });
+            toast.error('Chiave privata non corrisponde alla chiave pubblica del creator della sessione.');
+            return;
+        }
+
+        const { session: updated, retemplated } = applyTemplate(session, template);
+        if (retemplated) {
+            toast(`Nuovo template: lo stesso payload cifrato viene minato come blocco #${template.block_number}.`);
+        }
+        setPreparationData(template);
+        persistSession(updated);
+        await runMiningSession(updated, privateKey);
+    };
+
+    const handleResumeSession = () => {
+        autoRetemplatesRef.current = 0;
+        resumeMiningSession(savedSession);
+    };
+
+    const cancelMining = () => miningAbortRef.current?.abort();
+    const cancelMiningJob = () => cancelMiningJobMutation.mutate(miningJobId);
+
+    // Stima dell'avanzamento: ogni hash ha probabilità 2^-bit di essere valido, quindi i tentativi attesi
+    // sono una media e non un limite (il mining può finire prima o continuare oltre)
+    const expectedAttempts = preparationData ? cryptoUtils.getExpectedAttempts(cryptoUtils.getDifficultyBits(preparationData)) : null;
+    const miningEstimate = miningProgress && expectedAttempts ? {
+        percent: Math.min(99, Math.floor((miningProgress.attempts / expectedAttempts) * 100)),
+        beyondExpected: miningProgress.attempts > expectedAttempts,
+        etaMs: miningProgress.hashRate > 0
+            ? Math.round(((expectedAttempts - miningProgress.attempts) / miningProgress.hashRate) * 1000)
+            : null,
+    } : null;
+    const etaExceedsTimeout = miningEstimate?.etaMs != null && !miningEstimate.beyondExpected
+        && miningProgress.elapsed + miningEstimate.etaMs > CLIENT_SIDE_MINING_TIMEOUT_MS;
 
     const estimatedSize = dataText ? new Blob([dataText]).size : 0;
-    const isLoading = loadingCreators || prepareMiningMutation.isLoading || commitBlockMutation.isLoading || ['preparing', 'verifying', 'mining', 'committing'].includes(miningState.status);
+    const recordCount = splitRecords(dataText).length;
+    const isLoading = loadingCreators || prepareMiningMutation.isLoading || commitBlockMutation.isLoading || submitMiningJobMutation.isLoading
+        || ['preparing', 'verifying', 'mining', 'committing', 'delegating', 'delegated'].includes(miningState.status);
+    const miningJob = miningState.status === 'delegated' ? miningState.job : null;
 
 
     return (
@@ -241,7 +558,7 @@ const BlockCreation = () => {
                     Creazione Blocco Blockchain
                 </h1>
                 <p className="text-gray-600 mt-2">
-                    Crea un nuovo blocco. La crittografia, il mining e la firma avvengono localmente nel tuo browser.
+                    Crea un nuovo blocco. La crittografia e la firma avvengono localmente nel tuo browser; il mining nel browser o, se richiesto, sul nodo.
                 </p>
             </div>
 
@@ -287,6 +604,10 @@ const BlockCreation = () => {
                                     <span>Dimensione stimata: {cryptoUtils.formatBytes(estimatedSize)}</span>
                                     <span>{dataText?.length || 0} caratteri</span>
                                 </div>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Separa più record con una riga contenente solo <code>---</code>: ogni record è cifrato separatamente
+                                    ({recordCount} record nel blocco).
+                                </p>
                             </div>
 
                              {/* Private Key Input */}
@@ -325,6 +646,24 @@ const BlockCreation = () => {
                                 {errors.private_key_pem && <p className="text-red-500 text-sm mt-1">{errors.private_key_pem.message}</p>}
                             </div>
 
+                            {/* Mining delegato */}
+                            <div>
+                                <label className="flex items-start space-x-3 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        {...register('delegate_mining')}
+                                        className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600"
+                                        disabled={isLoading}
+                                    />
+                                    <span>
+                                        <span className="block text-sm font-medium text-gray-700">Mining sul nodo</span>
+                                        <span className="block text-xs text-gray-500">
+                                            Per dispositivi poco potenti: il browser cifra e firma i record, il Proof-of-Work è eseguito dal nodo.
+                                            Dati in chiaro e chiave privata restano nel browser.
+                                        </span>
+                                    </span>
+                                </label>
+                            </div>
 
                             {/* Submit Button */}
                             <button
@@ -340,6 +679,7 @@ const BlockCreation = () => {
                                             {miningState.status === 'verifying' && 'Verifica chiave...'}
                                             {miningState.status === 'mining' && 'Mining locale...'}
                                             {miningState.status === 'committing' && 'Salvataggio blocco...'}
+                                            {['delegating', 'delegated'].includes(miningState.status) && 'Mining sul nodo...'}
                                             {loadingCreators && 'Caricamento...'}
                                          </span>
                                     </>
@@ -362,9 +702,11 @@ const BlockCreation = () => {
                                      <li>Il backend invia la chiave pubblica del creator.</li>
                                     <li>Verifica locale della corrispondenza chiave privata/pubblica.</li>
                                     <li>Crittografia AES + cifratura chiave AES con RSA (nel browser).</li>
-                                    <li>Mining Proof-of-Work (nel browser).</li>
+                                    <li>Mining Proof-of-Work (nel browser, su più Web Worker in parallelo).</li>
                                     <li>Firma digitale dell'hash del blocco (nel browser).</li>
+                                    <li>Con il mining sul nodo si firma la Merkle root dei record e il nodo esegue il Proof-of-Work.</li>
                                      <li>Invio del blocco completo (firmato e minato) al backend per il salvataggio.</li>
+                                     <li>Il mining interrotto riprende dallo stesso payload cifrato, salvato nel browser.</li>
                                      <li>La chiave privata non lascia MAI il browser.</li>
                                 </ol>
                             </div>
@@ -374,6 +716,44 @@ const BlockCreation = () => {
 
                 {/* Side Panel */}
                 <div className="space-y-6">
+                    {/* Sessione di mining salvata */}
+                    {savedSession && !isLoading && (
+                        <div className="bg-white rounded-lg shadow p-6 border-l-4 border-amber-500">
+                            <h3 className="text-lg font-semibold text-gray-900 mb-2">Mining da riprendere</h3>
+                            <p className="text-xs text-gray-500 mb-4">
+                                Il payload già cifrato è salvato in questo browser; i dati in chiaro e la chiave privata no.
+                            </p>
+                            <div className="space-y-2 text-sm">
+                                <DetailItem label="Creator" value={savedSession.display_name} />
+                                <DetailItem label="Blocco" value={`#${savedSession.template.block_number}`} />
+                                <DetailItem label="Record" value={savedSession.records.length} />
+                                <DetailItem label="Tentativi" value={savedSession.attempts.toLocaleString()} />
+                                <DetailItem label="Tempo Mining" value={cryptoUtils.formatDuration(savedSession.mining_elapsed_ms)} />
+                                <DetailItem label="Salvata" value={savedSession.updated_at ? new Date(savedSession.updated_at).toLocaleString() : null} />
+                            </div>
+                            <p className="text-xs text-gray-500 mt-3">
+                                Per riprendere inserisci la chiave privata del creator nel modulo. Avviare un nuovo blocco sostituisce questa sessione.
+                            </p>
+                            <div className="mt-4 flex space-x-2">
+                                <button
+                                    type="button"
+                                    onClick={handleResumeSession}
+                                    className="flex-1 btn-primary flex items-center justify-center space-x-2"
+                                >
+                                    <Play className="h-4 w-4" />
+                                    <span>Riprendi mining</span>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={discardSession}
+                                    className="btn border border-gray-300 bg-white hover:bg-gray-50 text-gray-700"
+                                >
+                                    Scarta
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
                      {/* Mining Progress/Status */}
                      {(miningState.status !== 'idle' && miningState.status !== 'completed') && (
                         <div className={`bg-white rounded-lg shadow p-6 border-l-4 ${
@@ -381,7 +761,8 @@ const BlockCreation = () => {
                         }`}>
                             <h3 className="text-lg font-semibold text-gray-900 mb-4">Stato Processo</h3>
                             <div className="flex items-center space-x-3">
-                                {['preparing', 'verifying', 'fetching_blocks', 'committing'].includes(miningState.status) && <Loader2 className="h-5 w-5 text-gray-500 animate-spin" />}
+                                {['preparing', 'verifying', 'fetching_blocks', 'committing', 'delegating'].includes(miningState.status) && <Loader2 className="h-5 w-5 text-gray-500 animate-spin" />}
+                                {miningState.status === 'delegated' && <Server className="h-5 w-5 text-blue-500 animate-pulse" />}
                                 {miningState.status === 'mining' && <Cpu className="h-5 w-5 text-blue-500 animate-pulse" />}
                                 {miningState.status === 'failed' && <AlertTriangle className="h-5 w-5 text-red-500" />}
 
@@ -391,12 +772,76 @@ const BlockCreation = () => {
                                         {miningState.status === 'verifying' && 'Verifica chiave privata...'}
                                         {miningState.status === 'mining' && 'Mining Proof-of-Work nel browser...'}
                                         {miningState.status === 'committing' && 'Invio e salvataggio blocco...'}
+                                        {miningState.status === 'delegating' && 'Firma e invio dei record al nodo...'}
+                                        {miningJob?.status === 'queued' && 'Mining sul nodo: in coda'}
+                                        {miningJob?.status === 'mining' && 'Mining Proof-of-Work sul nodo...'}
                                         {miningState.status === 'failed' && 'Processo fallito'}
                                     </p>
-                                     {miningState.status === 'mining' && <p className="text-xs text-gray-500">Potrebbe richiedere tempo...</p>}
+                                     {['mining', 'delegated'].includes(miningState.status) && <p className="text-xs text-gray-500">Potrebbe richiedere tempo...</p>}
                                     {miningState.error && <p className="text-xs text-red-500 mt-1">{miningState.error}</p>}
                                 </div>
                             </div>
+                            {miningState.status === 'mining' && (
+                                <div className="mt-4 space-y-2 text-sm">
+                                    <div>
+                                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                                            <span>Avanzamento stimato</span>
+                                            <span>{miningEstimate ? `${miningEstimate.percent}%` : '—'}</span>
+                                        </div>
+                                        <div className="w-full bg-gray-200 rounded-full h-2">
+                                            <div
+                                                className="bg-blue-500 h-2 rounded-full transition-all"
+                                                style={{ width: `${miningEstimate?.percent ?? 0}%` }}
+                                            />
+                                        </div>
+                                    </div>
+                                    <DetailItem label="Tentativi" value={(miningProgress?.attempts ?? 0).toLocaleString()} />
+                                    <DetailItem label="Tentativi attesi" value={expectedAttempts ? `~${expectedAttempts.toLocaleString()}` : null} />
+                                    <DetailItem label="Hash rate" value={cryptoUtils.formatHashRate(miningProgress?.hashRate)} />
+                                    <DetailItem label="Tempo trascorso" value={cryptoUtils.formatDuration(miningProgress?.elapsed ?? 0)} />
+                                    <DetailItem
+                                        label="Tempo stimato"
+                                        value={!miningEstimate || miningEstimate.etaMs == null
+                                            ? 'Calcolo...'
+                                            : miningEstimate.beyondExpected
+                                                ? 'Oltre la media, ancora in corso'
+                                                : `~${cryptoUtils.formatDuration(miningEstimate.etaMs)}`}
+                                    />
+                                    <DetailItem label="Worker" value={miningProgress?.workers ?? cryptoUtils.getMiningConcurrency()} />
+                                    {etaExceedsTimeout && (
+                                        <p className="text-xs text-amber-600">
+                                            Al ritmo attuale il mining potrebbe superare il timeout di {CLIENT_SIDE_MINING_TIMEOUT_MS / 1000 / 60} minuti.
+                                        </p>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={cancelMining}
+                                        className="w-full mt-2 btn border border-red-300 bg-white hover:bg-red-50 text-red-600 flex items-center justify-center space-x-2"
+                                    >
+                                        <XCircle className="h-4 w-4" />
+                                        <span>Interrompi mining</span>
+                                    </button>
+                                </div>
+                            )}
+                            {miningJob && (
+                                <div className="mt-4 space-y-2 text-sm">
+                                    <DetailItem label="Job" value={`${miningJob.job_id.substring(0, 8)}...`} isMono />
+                                    {miningJob.queue_position && <DetailItem label="Posizione in coda" value={miningJob.queue_position} />}
+                                    <DetailItem label="Record" value={miningJob.record_count} />
+                                    <DetailItem label="Inviato" value={new Date(miningJob.created_at).toLocaleTimeString()} />
+                                    {miningJob.started_at && <DetailItem label="Avviato" value={new Date(miningJob.started_at).toLocaleTimeString()} />}
+                                    {miningJob.retries > 0 && <DetailItem label="Nuovi tentativi (punta avanzata)" value={miningJob.retries} />}
+                                    <button
+                                        type="button"
+                                        onClick={cancelMiningJob}
+                                        disabled={cancelMiningJobMutation.isLoading}
+                                        className="w-full mt-2 btn border border-red-300 bg-white hover:bg-red-50 text-red-600 flex items-center justify-center space-x-2 disabled:opacity-50"
+                                    >
+                                        <XCircle className="h-4 w-4" />
+                                        <span>Annulla mining sul nodo</span>
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -415,10 +860,11 @@ const BlockCreation = () => {
                                 <DetailItem label="Numero" value={`#${createdBlock.block_number}`} />
                                 <DetailItem label="Hash" value={`${createdBlock.block_hash.substring(0, 16)}...`} isMono />
                                 <DetailItem label="Nonce" value={createdBlock.nonce} isMono />
-                                <DetailItem label="Difficoltà" value={createdBlock.difficulty} />
-                                {/* <DetailItem label="Tentativi" value={createdBlock.attempts?.toLocaleString()} /> */}
+                                <DetailItem label="Difficoltà" value={`${cryptoUtils.getDifficultyBits(createdBlock)} bit`} />
+                                <DetailItem label="Tentativi" value={createdBlock.mining_attempts ? Number(createdBlock.mining_attempts).toLocaleString() : null} />
                                 <DetailItem label="Tempo Mining" value={cryptoUtils.formatDuration(createdBlock.mining_duration_ms)} />
                                 <DetailItem label="Dimensione" value={cryptoUtils.formatBytes(createdBlock.data_size)} />
+                                <DetailItem label="Record" value={createdBlock.records?.length ?? createdBlock.record_count ?? 1} />
                                 <DetailItem label="Creator" value={createdBlock.creator_name || 'N/A'} />
                             </div>
                         </div>
@@ -429,12 +875,15 @@ const BlockCreation = () => {
                         <h3 className="text-lg font-semibold text-gray-900 mb-4">Informazioni Mining</h3>
                         <div className="space-y-4 text-sm">
                             <InfoItem icon={Hash} color="text-blue-500" text="Algoritmo: SHA-256" />
-                            <InfoItem icon={Blocks} color="text-green-500" text={`Difficoltà: ${preparationData?.difficulty || 'N/D (default 4)'}`} />
+                            <InfoItem icon={Blocks} color="text-green-500" text={`Difficoltà: ${preparationData?.difficulty ? `${preparationData.difficulty} bit` : 'N/D (stabilita dalla catena)'}`} />
+                            {expectedAttempts && <InfoItem icon={Hash} color="text-blue-500" text={`Tentativi attesi: ~${expectedAttempts.toLocaleString()}`} />}
                             <InfoItem icon={Clock} color="text-orange-500" text={`Timeout: ${CLIENT_SIDE_MINING_TIMEOUT_MS / 1000 / 60} minuti (client)`} />
+                            <InfoItem icon={Cpu} color="text-red-500" text={`Worker di mining: ${cryptoUtils.getMiningConcurrency()}`} />
                             <InfoItem icon={Lock} color="text-purple-500" text="Cifratura: AES-256-GCM + RSA-OAEP" />
                         </div>
                         <div className="mt-4 p-3 bg-gray-50 rounded-lg text-xs text-gray-600">
-                            Il mining Proof-of-Work viene eseguito nel tuo browser. Le prestazioni dipendono dal tuo dispositivo.
+                            Il mining Proof-of-Work viene eseguito nel tuo browser, un Web Worker per core del processore. Le prestazioni dipendono dal tuo dispositivo:
+                            se il mining supera il timeout, scegli il mining sul nodo.
                         </div>
                     </div>
                 </div>
@@ -1,6 +1,7 @@
 import React from 'react'
 import { useQuery } from 'react-query'
 import { apiCall } from '../utils/api'
+import { formatHashRate } from '../utils/cryptoUtils'
 import { Users, Blocks, Shield, Activity } from 'lucide-react'
 
 function Dashboard() {
@@ -20,6 +21,9 @@ function Dashboard() {
   // Calcola la percentuale di verifica in modo sicuro
   const totalBlocks = parseInt(blocksStats.stats.total_blocks) || 0;
   const verifiedBlocks = parseInt(blocksStats.stats.verified_blocks) || 0;
+  const pendingBlocks = parseInt(blocksStats.stats.pending_blocks) || 0;
+  const invalidBlocks = parseInt(blocksStats.stats.invalid_blocks) || 0;
+  const finalizedBlocks = parseInt(blocksStats.stats.finalized_blocks) || 0;
   const verificationRate = totalBlocks > 0
     ? Math.round((verifiedBlocks / totalBlocks) * 100)
     : 0;
@@ -29,6 +33,13 @@ function Dashboard() {
   const avgMiningTime = avgMiningTimeMs > 0 
     ? (avgMiningTimeMs / 1000).toFixed(2) + 's' 
     : 'N/A';
+  const avgHashRate = parseFloat(blocksStats.stats.avg_hash_rate) || 0; // Dichiarato dai miner al commit
+
+  // Regolazione della difficoltà: difficoltà richiesta al prossimo blocco e tempo medio recente tra i blocchi
+  const difficulty = blocksStats.stats.difficulty;
+  const recentBlockTime = difficulty?.recent_block_time_ms != null
+    ? (difficulty.recent_block_time_ms / 1000).toFixed(1) + 's'
+    : 'N/A';
     
 
   return (
@@ -46,18 +57,36 @@ function Dashboard() {
           <Blocks className="w-8 h-8 text-green-600 mb-3" />
           <div className="text-3xl font-bold text-gray-900">{totalBlocks}</div>
           <div className="text-sm text-gray-600 mt-1">Blocchi in Catena</div>
+          <div className="text-xs text-gray-500 mt-1">
+            {finalizedBlocks} finalizzati (quorum {blocksStats.stats.finality_quorum})
+          </div>
         </div>
         {/* Tasso verifica */}
         <div className="bg-white p-6 rounded-xl shadow-lg flex flex-col items-center border border-gray-200">
           <Shield className="w-8 h-8 text-yellow-600 mb-3" />
           <div className="text-3xl font-bold text-gray-900">{verificationRate}%</div>
           <div className="text-sm text-gray-600 mt-1">Tasso di Verifica</div>
+          <div className="text-xs text-gray-500 mt-1">
+            {pendingBlocks} in attesa
+            {invalidBlocks > 0 && <span className="text-red-600"> · {invalidBlocks} con verifica fallita</span>}
+          </div>
         </div>
         {/* Tempo Mining medio */}
         <div className="bg-white p-6 rounded-xl shadow-lg flex flex-col items-center border border-gray-200">
           <Activity className="w-8 h-8 text-purple-600 mb-3" />
           <div className="mt-2 text-3xl font-bold">{avgMiningTime}</div>
           <div className="text-sm text-gray-600 mt-1">Tempo Mining Medio</div>
+          {avgHashRate > 0 && (
+            <div className="text-xs text-gray-500 mt-1">Hash rate medio {formatHashRate(avgHashRate)}</div>
+          )}
+          {difficulty && (
+            <div className="text-xs text-gray-500 mt-1 text-center">
+              Difficoltà {difficulty.next_difficulty} bit · {recentBlockTime}/blocco
+              (obiettivo {(difficulty.target_block_time_ms / 1000).toFixed(0)}s)
+              <br />
+              Ricalcolo al blocco #{difficulty.next_retarget_height}
+            </div>
+          )}
         </div>
       </div>
     </div>
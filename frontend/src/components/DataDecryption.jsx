@@ -3,7 +3,7 @@ import { useMutation, useQuery, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
 import {
-    Key, User, Unlock, Download, Eye, EyeOff, Shield, AlertTriangle, CheckCircle, Clock, FileText, Upload, Copy, Hash, Loader2
+    Key, User, Unlock, Download, Eye, EyeOff, Shield, ShieldCheck, ShieldAlert, AlertTriangle, CheckCircle, XCircle, Clock, FileText, Upload, Copy, Hash, Loader2
 } from 'lucide-react';
 import { apiCall } from '../utils/api';
 import cryptoUtils from '../utils/cryptoUtils';
@@ -34,27 +34,40 @@ const ActionButton = ({ icon: Icon, onClick, title, color, disabled = false }) =
     </button>
 );
 
+// Un blocco può contenere più record: ognuno è identificato da hash del blocco e indice del record
+const recordKey = (record) => `${record.block_hash}:${record.record_index}`;
+const recordLabel = (record) => `Blocco #${record.block_number}${record.version >= 3 ? ` · record ${record.record_index}` : ''}`;
+
 const DecryptedBlockItem = ({ block, expandedBlock, setExpandedBlock, copyToClipboard, downloadDecryptedData }) => {
-    const isExpanded = expandedBlock === block.block_id;
+    const isExpanded = expandedBlock === recordKey(block);
     return (
         <div className="border border-gray-200 rounded-lg overflow-hidden transition-shadow duration-200 hover:shadow-md">
             <div className="p-4 bg-gray-50 border-b border-gray-200">
                 <div className="flex items-center justify-between">
                      <h3 className="font-semibold text-gray-800 flex items-center space-x-2">
-                         <span>Blocco #{block.block_number}</span>
-                         {block.verified ? <CheckCircle className="h-4 w-4 text-green-500" title="Verificato"/> : <Clock className="h-4 w-4 text-yellow-500" title="Non Verificato"/>}
+                         <span>{recordLabel(block)}</span>
+                         {block.status === 'valid' ? <CheckCircle className="h-4 w-4 text-green-500" title="Verificato"/> : block.status === 'invalid' ? <XCircle className="h-4 w-4 text-red-500" title="Verifica fallita"/> : <Clock className="h-4 w-4 text-yellow-500" title="Non Verificato"/>}
                          {block.error && <AlertTriangle className="h-4 w-4 text-red-500" title="Errore Decifratura"/>}
+                         {block.independent_verification && (block.independent_verification.verified ? (
+                             <span className="inline-flex items-center space-x-1 text-xs font-medium text-green-700 bg-green-100 px-2 py-0.5 rounded-full" title="Hash, Proof-of-Work, firma e collegamento ricalcolati nel browser">
+                                 <ShieldCheck className="h-3 w-3" /><span>Verificato in modo indipendente</span>
+                             </span>
+                         ) : (
+                             <span className="inline-flex items-center space-x-1 text-xs font-medium text-red-700 bg-red-100 px-2 py-0.5 rounded-full" title={block.independent_verification.failures.join('\n')}>
+                                 <ShieldAlert className="h-3 w-3" /><span>Verifica indipendente fallita</span>
+                             </span>
+                         ))}
                      </h3>
                     <div className="flex space-x-1">
                         {block.decrypted_data && (
                             <>
                                 <ActionButton icon={Copy} onClick={() => copyToClipboard(block.decrypted_data, 'Dati decifrati')} title="Copia dati" color="blue" />
-                                <ActionButton icon={Download} onClick={() => downloadDecryptedData(block.decrypted_data, `block_${block.block_number}_data.txt`)} title="Scarica dati" color="green" />
+                                <ActionButton icon={Download} onClick={() => downloadDecryptedData(block.decrypted_data, `block_${block.block_number}_record_${block.record_index}_data.txt`)} title="Scarica dati" color="green" />
                             </>
                         )}
                          <ActionButton
                             icon={isExpanded ? EyeOff : Eye}
-                            onClick={() => setExpandedBlock(isExpanded ? null : block.block_id)}
+                            onClick={() => setExpandedBlock(isExpanded ? null : recordKey(block))}
                             title={isExpanded ? 'Nascondi dettagli' : 'Mostra dettagli'}
                             color="gray"
                          />
@@ -70,6 +83,14 @@ const DecryptedBlockItem = ({ block, expandedBlock, setExpandedBlock, copyToClip
             {/* Expanded Content */}
              {isExpanded && (
                  <div className="p-4 bg-white">
+                     {block.independent_verification?.verified === false && (
+                         <div className="bg-red-50 p-3 rounded text-red-700 text-sm border border-red-200 mb-3">
+                             <p className="font-medium mb-1">Controlli non superati nel browser:</p>
+                             <ul className="list-disc list-inside">
+                                 {block.independent_verification.failures.map((failure) => <li key={failure}>{failure}</li>)}
+                             </ul>
+                         </div>
+                     )}
                      {block.error ? (
                          <div className="bg-red-100 p-3 rounded text-red-700 text-sm border border-red-200">
                              <p className="font-medium mb-1">Errore decifratura:</p>
@@ -136,8 +157,9 @@ const DataDecryption = () => {
         (creatorId) => apiCall(`/decrypt/blocks/${creatorId}`),
         {
             onSuccess: (data) => {
-                setDecryptionState({ status: 'decrypting', blocksToDecrypt: data.blocks, creatorName: data.display_name, creatorId: data.creator_id });
-                toast.success(`Recuperati ${data.blocks.length} blocchi crittografati.`);
+                // Un elemento per record cifrato (un blocco può contenerne più di uno)
+                setDecryptionState({ status: 'decrypting', blocksToDecrypt: data.records, creatorName: data.display_name, creatorId: data.creator_id });
+                toast.success(`Recuperati ${data.records.length} record crittografati.`);
             },
             onError: (error) => {
                 setDecryptionState({ status: 'failed', error: `Recupero blocchi fallito: ${error.message}` });
@@ -251,7 +273,7 @@ const DataDecryption = () => {
 
             // Step 4: Decrypt Blocks (Client-Side)
             if (decryptionState.status === 'decrypting' && decryptionState.blocksToDecrypt && privateKeyPem) {
-                 toast.loading(`Decifratura di ${decryptionState.blocksToDecrypt.length} blocchi...`, { id: 'decrypting-blocks' });
+                 toast.loading(`Decifratura di ${decryptionState.blocksToDecrypt.length} record...`, { id: 'decrypting-blocks' });
                  let successfullyDecrypted = 0;
                  let failedDecryption = 0;
                  const results = [];
@@ -261,23 +283,25 @@ const DataDecryption = () => {
                  for (let i = 0; i < blocks.length; i += chunkSize) {
                      const chunk = blocks.slice(i, i + chunkSize);
                      const chunkPromises = chunk.map(async (block) => {
+                         // Verifica indipendente dal flag 'verified' impostato dal nodo
+                         const independent_verification = await cryptoUtils.verifyBlockRecord(block, publicKeyPem);
                          try {
                              const encryptedAesKey = cryptoUtils.base64ToAb(block.encrypted_data_key_b64);
                              const aesKeyBytes = await cryptoUtils.decryptAESKeyWithPrivateKey(encryptedAesKey, privateKeyPem);
                              const iv = cryptoUtils.base64ToAb(block.data_iv_b64);
                              const ciphertext = cryptoUtils.base64ToAb(block.encrypted_data_b64);
                              const plaintext = await cryptoUtils.decryptAESData(ciphertext, aesKeyBytes, iv);
-                             return { ...block, decrypted_data: plaintext, error: null, error_details: null };
+                             return { ...block, independent_verification, decrypted_data: plaintext, error: null, error_details: null };
                          } catch (error) {
-                             console.error(`Failed to decrypt block #${block.block_number}:`, error);
-                             return { ...block, decrypted_data: null, error: 'Decryption failed', error_details: error.message };
+                             console.error(`Failed to decrypt block #${block.block_number} record ${block.record_index}:`, error);
+                             return { ...block, independent_verification, decrypted_data: null, error: 'Decryption failed', error_details: error.message };
                          }
                      });
 
                      const chunkResults = await Promise.all(chunkPromises);
                      results.push(...chunkResults);
 
-                     toast.loading(`Decifratura ${i + chunk.length}/${blocks.length} blocchi...`, { id: 'decrypting-blocks' });
+                     toast.loading(`Decifratura ${i + chunk.length}/${blocks.length} record...`, { id: 'decrypting-blocks' });
                      await new Promise(resolve => setTimeout(resolve, 0)); // Yield
                  }
 
@@ -298,7 +322,8 @@ const DataDecryption = () => {
                  });
 
                  setDecryptionState({ status: 'completed' });
-                 toast.success(`Decifratura completata! ${successfullyDecrypted} successi, ${failedDecryption} fallimenti.`, { id: 'decrypting-blocks' });
+                 const independentlyVerified = results.filter(r => r.independent_verification.verified).length;
+                 toast.success(`Decifratura completata! ${successfullyDecrypted} successi, ${failedDecryption} fallimenti. ${independentlyVerified}/${results.length} record verificati nel browser.`, { id: 'decrypting-blocks' });
             }
         };
 
@@ -447,7 +472,7 @@ const DataDecryption = () => {
                                          {decryptionState.status === 'fetching_key' && 'Recupero chiave pubblica...'}
                                          {decryptionState.status === 'verifying' && 'Verifica chiave privata...'}
                                          {decryptionState.status === 'fetching_blocks' && 'Recupero blocchi crittografati...'}
-                                         {decryptionState.status === 'decrypting' && `Decifratura di ${decryptionState.blocksToDecrypt?.length || '?'} blocchi...`}
+                                         {decryptionState.status === 'decrypting' && `Decifratura di ${decryptionState.blocksToDecrypt?.length || '?'} record...`}
                                          {decryptionState.status === 'failed' && 'Processo fallito'}
                                      </p>
                                      {decryptionState.error && <p className="text-xs text-red-500 mt-1 break-words">{decryptionState.error}</p>}
@@ -484,7 +509,7 @@ const DataDecryption = () => {
 
                     {/* Summary */}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-                        <SummaryCard value={decryptedBlocksData.summary.total_blocks} label="Blocchi Totali" color="blue" />
+                        <SummaryCard value={decryptedBlocksData.summary.total_blocks} label="Record Totali" color="blue" />
                         <SummaryCard value={decryptedBlocksData.summary.successfully_decrypted} label="Decifrati con Successo" color="green" />
                         <SummaryCard value={decryptedBlocksData.summary.failed_decryption} label="Decifratura Fallita" color="red" />
                     </div>
@@ -493,7 +518,7 @@ const DataDecryption = () => {
                     <div className="space-y-4">
                         {decryptedBlocksData.blocks.map((block) => (
                             <DecryptedBlockItem
-                                key={block.block_id}
+                                key={recordKey(block)}
                                 block={block}
                                 expandedBlock={expandedBlock}
                                 setExpandedBlock={setExpandedBlock}
@@ -510,7 +535,7 @@ const DataDecryption = () => {
                                 onClick={() => {
                                     const allData = decryptedBlocksData.blocks
                                         .filter(b => b.decrypted_data)
-                                        .map(b => `=== Blocco #${b.block_number} (${new Date(b.created_at).toLocaleString()}) ===\nHash: ${b.block_hash}\n\n${b.decrypted_data}`)
+                                        .map(b => `=== ${recordLabel(b)} (${new Date(b.created_at).toLocaleString()}) ===\nHash: ${b.block_hash}\n\n${b.decrypted_data}`)
                                         .join('\n\n\n');
                                     downloadDecryptedData(allData, `${decryptedBlocksData.display_name}_all_decrypted_blocks.txt`);
                                 }}
@@ -260,62 +260,223 @@ export const hashData = async (data) => {
     }
 };
 
+// Hash di un record cifrato: SHA-256 di dati, IV e chiave cifrata.
+// Nella versione 2 è l'impegno sul payload dell'header, dalla versione 3 è una foglia del Merkle tree.
+export const calculateRecordHash = async (record) => {
+    return hashData([
+        abToHex(record.encrypted_data),
+        abToHex(record.data_iv),
+        abToHex(record.encrypted_data_key),
+    ].join('|'));
+};
+
+// Merkle root degli hash dei record (identica a CryptoUtils.calculateMerkleRoot nel backend):
+// ogni nodo è SHA-256 della concatenazione degli hash (hex) dei figli, un nodo senza fratello sale invariato
+export const calculateMerkleRoot = async (leafHashes) => {
+    if (leafHashes.length === 0) return null;
+    let level = leafHashes;
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? await hashData(level[i] + level[i + 1]) : level[i]);
+        }
+        level = next;
+    }
+    return level[0];
+};
+
+// Verifica una prova di inclusione ({ hash, position } dal basso verso l'alto) rispetto alla Merkle root
+export const verifyMerkleProof = async (leafHash, proof, merkleRoot) => {
+    let hash = leafHash;
+    for (const step of proof) {
+        hash = step.position === 'left' ? await hashData(step.hash + hash) : await hashData(hash + step.hash);
+    }
+    return hash === merkleRoot;
+};
+
+// Deve restare identico a CryptoUtils.buildHashInput nel backend.
+// - versione 1 (blocchi storici): previous_hash, payload, nonce, timestamp, creator, difficoltà
+// - versione 2: header canonico versione|altezza|genitore|impegno sul payload|timestamp|creator|difficoltà|nonce
+//   (payload_commitment va calcolato prima con calculateRecordHash)
+// - versione 3: come la 2, con la Merkle root dei record (merkle_root) come impegno sul payload
+// - versione 4: come la 3; la difficoltà è in bit a zero iniziali dell'hash invece che in cifre esadecimali
+// - versione 5: come la 4; cambia solo il messaggio firmato (buildSigningInput)
 export const buildHashInput = (blockData) => {
     const createdAtISO = blockData.created_at instanceof Date
         ? blockData.created_at.toISOString()
         : (typeof blockData.created_at === 'string' ? blockData.created_at : new Date().toISOString());
-    const encryptedDataHex = abToHex(blockData.encrypted_data);
-    const ivHex = abToHex(blockData.data_iv);
-    const encryptedKeyHex = abToHex(blockData.encrypted_data_key);
+    const version = Number(blockData.version || 1);
+
+    if (version === 1) {
+        return [
+            blockData.previous_hash || '0'.repeat(64),
+            abToHex(blockData.encrypted_data),
+            abToHex(blockData.data_iv),
+            abToHex(blockData.encrypted_data_key),
+            blockData.nonce.toString(),
+            createdAtISO,
+            blockData.creator_id || '',
+            blockData.difficulty.toString(),
+        ].join('|');
+    }
 
+    const payloadCommitment = version >= 3 ? blockData.merkle_root : blockData.payload_commitment;
+    if (!payloadCommitment) {
+        throw new Error('Missing payload commitment for block header');
+    }
     return [
+        version.toString(),
+        blockData.block_number.toString(),
         blockData.previous_hash || '0'.repeat(64),
-        encryptedDataHex,
-        ivHex,
-        encryptedKeyHex,
-        blockData.nonce.toString(),
+        payloadCommitment,
         createdAtISO,
         blockData.creator_id || '',
         blockData.difficulty.toString(),
+        blockData.nonce.toString(),
     ].join('|');
 };
 
-// --- Mining (Proof-of-Work) --- (No changes needed here from last version)
+// Messaggio firmato dal creator, identico a CryptoUtils.buildSigningInput nel backend: l'hash del blocco fino alla
+// versione 4, versione|creator|Merkle root dalla 5 (la firma non dipende dal mining, che può essere delegato al nodo)
+export const buildSigningInput = (blockData) => {
+    const version = Number(blockData.version || 1);
+    if (version < 5) return blockData.block_hash;
+    return [version.toString(), blockData.creator_id, blockData.merkle_root].join('|');
+};
+
+// Messaggio firmato dal creator per annullare un proprio job di mining delegato, identico a
+// CryptoUtils.buildCancelJobInput nel backend
+export const buildCancelJobInput = (jobId) => ['cancel-mining-job', jobId].join('|');
 
-export const mineBlock = async (blockData, difficulty, timeoutMs) => {
-    let nonce = 0n;
-    let hash = '';
-    const requiredPrefix = '0'.repeat(difficulty);
-    const startTime = Date.now();
-    const MAX_NONCE_CHECKS_BEFORE_YIELD = 10000;
+// --- Mining (Proof-of-Work) ---
 
-    console.log(`⛏️ Starting client-side mining (difficulty: ${difficulty})...`);
-    try {
-        while (true) {
-            nonce++;
-            const currentBlockData = { ...blockData, nonce: nonce };
-            const hashInput = buildHashInput(currentBlockData);
-            hash = await hashData(hashInput);
-
-            if (hash.startsWith(requiredPrefix)) {
-                const duration = Date.now() - startTime;
-                console.log(`✅ Mining successful! Nonce: ${nonce}, Hash: ${hash.substring(0, 10)}..., Duration: ${formatDuration(duration)}`);
-                return { nonce: nonce.toString(), hash, duration };
-            }
+// Difficoltà in bit a zero iniziali dell'hash: fino alla versione 3 dell'header era in cifre esadecimali (4 bit)
+export const getDifficultyBits = (block) => {
+    const difficulty = Number(block.difficulty);
+    return Number(block.version || 1) >= 4 ? difficulty : difficulty * 4;
+};
+
+// Deve restare identico a CryptoUtils.meetsDifficulty nel backend: l'hash, letto come intero a 256 bit,
+// deve essere inferiore al target 2^(256 - bits)
+export const hashMeetsDifficulty = (hashHex, bits) => {
+    if (typeof hashHex !== 'string' || !/^[0-9a-f]{64}$/.test(hashHex) || !Number.isInteger(bits) || bits < 1 || bits > 256) {
+        return false;
+    }
+    return BigInt(`0x${hashHex}`) < (1n << BigInt(256 - bits));
+};
 
-            if (Date.now() - startTime > timeoutMs) {
-                console.warn(`Mining timeout exceeded after ${formatDuration(Date.now() - startTime)}`);
-                throw new Error('Mining timeout exceeded');
+// Hash da calcolare in media per trovarne uno con almeno `bits` bit a zero iniziali
+export const getExpectedAttempts = (bits) => 2 ** bits;
+
+// Il mining gira in un pool di Web Worker (utils/miningWorker.js): il pool assegna a ogni worker intervalli
+// consecutivi di MINING_RANGE_SIZE nonce finché uno trova un hash valido, scade il timeout o il mining è annullato.
+// Il progresso riporta in nextNonce il primo nonce di un intervallo non ancora completato: tutti i nonce
+// precedenti sono già stati provati, quindi un mining interrotto può riprendere da lì (startNonce)
+const MINING_RANGE_SIZE = 50000;
+const MINING_PROGRESS_INTERVAL_MS = 250;
+const NONCE_PLACEHOLDER = '\u0000nonce\u0000';
+const MAX_NONCE = Number.MAX_SAFE_INTEGER; // Come MAX_NONCE nella configurazione del backend
+
+// Un worker per core logico, lasciandone uno al thread dell'interfaccia
+export const getMiningConcurrency = () => Math.max(1, (navigator.hardwareConcurrency || 2) - 1);
+
+// difficulty nell'unità della versione del blocco (bit dalla versione 4, vedi getDifficultyBits).
+// onProgress riceve { attempts, hashRate (hash/s), elapsed (ms), workers, nextNonce }; signal (AbortSignal) annulla il mining
+export const mineBlock = async (blockData, difficulty, timeoutMs, { onProgress, signal, startNonce = 1 } = {}) => {
+    const difficultyBits = getDifficultyBits({ version: blockData.version, difficulty });
+
+    // L'impegno sul payload non dipende dal nonce: si calcola una sola volta
+    const version = Number(blockData.version || 1);
+    if (version >= 3 && !blockData.merkle_root) {
+        const leafHashes = await Promise.all(blockData.records.map(calculateRecordHash));
+        blockData = { ...blockData, merkle_root: await calculateMerkleRoot(leafHashes) };
+    } else if (version === 2 && !blockData.payload_commitment) {
+        blockData = { ...blockData, payload_commitment: await calculateRecordHash(blockData) };
+    }
+    // I worker ricevono l'header già serializzato, diviso attorno al nonce
+    const [head, tail] = buildHashInput({ ...blockData, nonce: NONCE_PLACEHOLDER }).split(NONCE_PLACEHOLDER);
+
+    const workerCount = getMiningConcurrency();
+    console.log(`⛏️ Starting client-side mining (difficulty: ${difficultyBits} bits, workers: ${workerCount})...`);
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const workers = [];
+        const rangesInProgress = new Map(); // worker -> primo nonce dell'intervallo assegnato
+        let nextNonce = startNonce;
+        let attempts = 0;
+        let finished = false;
+
+        const reportProgress = () => {
+            const elapsed = Date.now() - startTime;
+            const checkpoint = rangesInProgress.size > 0 ? Math.min(...rangesInProgress.values()) : nextNonce;
+            onProgress?.({
+                attempts,
+                hashRate: elapsed > 0 ? Math.round(attempts * 1000 / elapsed) : 0,
+                elapsed,
+                workers: workerCount,
+                nextNonce: checkpoint,
+            });
+        };
+        const progressTimer = setInterval(reportProgress, MINING_PROGRESS_INTERVAL_MS);
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearInterval(progressTimer);
+            clearTimeout(timeoutTimer);
+            signal?.removeEventListener('abort', onAbort);
+            workers.forEach(worker => worker.terminate());
+            reportProgress(); // Anche se interrotto: nextNonce permette di riprendere
+            if (error) {
+                console.warn(`Mining stopped after ${formatDuration(Date.now() - startTime)}: ${error.message}`);
+                reject(error);
+            } else {
+                console.log(`✅ Mining successful! Nonce: ${result.nonce}, Hash: ${result.hash.substring(0, 10)}..., Attempts: ${result.attempts}, Duration: ${formatDuration(result.duration)}`);
+                resolve(result);
             }
+        };
 
-            if (Number(nonce) % MAX_NONCE_CHECKS_BEFORE_YIELD === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
+        const assignRange = (worker) => {
+            if (nextNonce > MAX_NONCE) {
+                finish(new Error('Nonce space exhausted'));
+                return;
             }
+            const start = nextNonce;
+            nextNonce = Math.min(start + MINING_RANGE_SIZE, MAX_NONCE + 1);
+            rangesInProgress.set(worker, start);
+            worker.postMessage({ type: 'range', start, end: nextNonce });
+        };
+
+        const onAbort = () => finish(new DOMException('Mining cancelled', 'AbortError'));
+        const timeoutTimer = setTimeout(() => finish(new Error('Mining timeout exceeded')), timeoutMs);
+        if (signal?.aborted) {
+            onAbort();
+            return;
         }
-    } catch (error) {
-         console.error("Mining failed:", error);
-         throw error;
-    }
+        signal?.addEventListener('abort', onAbort);
+
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(new URL('./miningWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = ({ data }) => {
+                if (finished) return;
+                if (data.type === 'progress') {
+                    attempts += data.attempts;
+                } else if (data.type === 'range_done') {
+                    rangesInProgress.delete(worker);
+                    assignRange(worker);
+                } else if (data.type === 'found') {
+                    finish(null, { nonce: data.nonce.toString(), hash: data.hash, duration: Date.now() - startTime, attempts });
+                } else if (data.type === 'error') {
+                    finish(new Error(`Mining worker failed: ${data.message}`));
+                }
+            };
+            worker.onerror = (event) => finish(new Error(`Mining worker failed: ${event.message || 'unknown error'}`));
+            worker.postMessage({ type: 'job', head, tail, difficultyBits });
+            workers.push(worker);
+            assignRange(worker);
+        }
+    });
 };
 
 // --- Signing --- (No changes needed here from last version)
@@ -333,6 +494,86 @@ export const signData = async (privateKeyPem, dataToSign) => {
      }
  };
 
+// Verifica la firma RSASSA-PKCS1-v1_5/SHA-256 prodotta dal creator (CryptoUtils.signData nel backend)
+export const verifySignature = async (publicKeyPem, data, signature /* Uint8Array or ArrayBuffer */) => {
+    try {
+        const publicKey = await importKey(publicKeyPem, 'spki', 'RSASSA-PKCS1-v1_5', ['verify']);
+        const dataBuffer = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        return await crypto.subtle.verify({ name: 'RSASSA-PKCS1-v1_5' }, publicKey, signature, dataBuffer);
+    } catch (error) {
+        console.error('Signature verification failed:', error);
+        return false;
+    }
+};
+
+
+// --- Verifica indipendente ---
+
+// Ricalcola l'hash di un header (versione 2+) e ne controlla la Proof-of-Work
+const verifyHeaderHash = async (header) => {
+    const hash = await hashData(buildHashInput(header));
+    return hash === header.block_hash && hashMeetsDifficulty(hash, getDifficultyBits(header));
+};
+
+// Verifica nel browser un record restituito da /decrypt/blocks/:creator_id senza fidarsi del nodo:
+// hash del record e prova di inclusione, hash dell'header ricalcolato, Proof-of-Work, firma del creator
+// con la chiave pubblica indicata e collegamento all'header del blocco precedente.
+// Ritorna { verified, failures } con l'elenco dei controlli non superati.
+export const verifyBlockRecord = async (record, publicKeyPem) => {
+    const failures = [];
+    try {
+        const payload = {
+            encrypted_data: new Uint8Array(base64ToAb(record.encrypted_data_b64)),
+            data_iv: new Uint8Array(base64ToAb(record.data_iv_b64)),
+            encrypted_data_key: new Uint8Array(base64ToAb(record.encrypted_data_key_b64)),
+        };
+        const version = Number(record.version || 1);
+        const recordHash = await calculateRecordHash(payload);
+
+        // 1. Impegno sul payload: Merkle root (versione 3), hash dell'unico record (versione 2) o payload nell'hash (versione 1)
+        let header = { ...record, ...payload };
+        if (version >= 3) {
+            if (!record.proof || !(await verifyMerkleProof(recordHash, record.proof, record.merkle_root))) {
+                failures.push('Prova di inclusione nella Merkle root non valida');
+            }
+        } else if (version === 2) {
+            header = { ...header, payload_commitment: recordHash };
+        }
+
+        // 2-3. Hash dell'header e Proof-of-Work
+        const blockHash = await hashData(buildHashInput(header));
+        if (blockHash !== record.block_hash) {
+            failures.push('Hash del blocco non corrispondente');
+        }
+        if (!hashMeetsDifficulty(record.block_hash, getDifficultyBits(record))) {
+            failures.push('Proof-of-Work non valida');
+        }
+
+        // 4. Firma del creator (sull'hash del blocco o, dalla versione 5, sulla Merkle root)
+        if (!(await verifySignature(publicKeyPem, buildSigningInput(record), base64ToAb(record.signature_b64)))) {
+            failures.push('Firma digitale non valida');
+        }
+
+        // 5. Collegamento al blocco precedente (l'hash degli header storici di versione 1 dipende dal payload e non si ricalcola)
+        if (BigInt(record.block_number) === 1n) {
+            if (record.previous_hash && record.previous_hash !== '0'.repeat(64)) {
+                failures.push('Il blocco genesis non deve avere un predecessore');
+            }
+        } else {
+            const previous = record.previous_header;
+            if (!previous || previous.block_hash !== record.previous_hash || BigInt(previous.block_number) !== BigInt(record.block_number) - 1n) {
+                failures.push('Collegamento al blocco precedente non valido');
+            } else if (Number(previous.version || 1) >= 2 ? !(await verifyHeaderHash(previous)) : !hashMeetsDifficulty(previous.block_hash, getDifficultyBits(previous))) {
+                failures.push('Header del blocco precedente non valido');
+            }
+        }
+    } catch (error) {
+        console.error(`Independent verification of block #${record.block_number} failed:`, error);
+        failures.push(`Errore di verifica: ${error.message}`);
+    }
+    return { verified: failures.length === 0, failures };
+};
+
 
 // --- Utility & Init Functions --- (No changes needed here from last version)
 
@@ -355,6 +596,13 @@ export const formatDuration = (milliseconds) => {
     return `${minutes}m ${remainingSeconds}s`;
 };
 
+export const formatHashRate = (hashesPerSecond) => {
+    if (!hashesPerSecond) return 'N/A';
+    if (hashesPerSecond >= 1e6) return `${(hashesPerSecond / 1e6).toFixed(2)} MH/s`;
+    if (hashesPerSecond >= 1e3) return `${(hashesPerSecond / 1e3).toFixed(1)} kH/s`;
+    return `${Math.round(hashesPerSecond)} H/s`;
+};
+
 export const checkCryptoSupport = () => {
     const support = {
         subtle: !!(window.crypto && window.crypto.subtle),
@@ -391,7 +639,9 @@ export default {
     validatePrivateKeyPem, validatePublicKeyPem, verifyKeyPair,
     generateAESKey, generateIV, encryptAESData, decryptAESData,
     encryptAESKeyWithPublicKey, decryptAESKeyWithPrivateKey,
-    hashData, buildHashInput, mineBlock, signData,
-    formatBytes, formatDuration, checkCryptoSupport, initCrypto,
+    hashData, calculateRecordHash, calculateMerkleRoot, verifyMerkleProof, buildHashInput, buildSigningInput, buildCancelJobInput,
+    getDifficultyBits, hashMeetsDifficulty, getExpectedAttempts, getMiningConcurrency, mineBlock, signData,
+    verifySignature, verifyBlockRecord,
+    formatBytes, formatDuration, formatHashRate, checkCryptoSupport, initCrypto,
     abToBase64, base64ToAb, abToHex,
 };
\ No newline at end of file
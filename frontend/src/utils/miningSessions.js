@@ -0,0 +1,107 @@
+// File: frontend/src/utils/miningSessions.js
+
+// Sessione di mining salvata in IndexedDB, per riprendere il mining dopo un ricaricamento della pagina.
+// Contiene il template, i record già cifrati (lo stesso ciphertext viene minato fino al commit) e il
+// primo nonce non ancora provato. I dati in chiaro e la chiave privata non vengono mai salvati.
+//
+// Struttura: { session_id, display_name, creator_id, public_key_pem,
+//              template: { template_id, version, block_number, previous_hash, difficulty },
+//              created_at, merkle_root, records: [{ encrypted_data, data_iv, encrypted_data_key, data_size }],
+//              next_nonce, attempts, mining_elapsed_ms, solution: { nonce, hash } | null, updated_at }
+
+const DB_NAME = 'blockchain-mining';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'current'; // Una sola sessione per browser: un nuovo blocco sostituisce quella salvata
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runRequest = async (mode, createRequest) => {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    } finally {
+        db.close();
+    }
+};
+
+export const getMiningSession = async () => (await runRequest('readonly', store => store.get(SESSION_KEY))) || null;
+
+export const saveMiningSession = (session) =>
+    runRequest('readwrite', store => store.put({ ...session, updated_at: new Date().toISOString() }, SESSION_KEY));
+
+export const deleteMiningSession = () => runRequest('readwrite', store => store.delete(SESSION_KEY));
+
+const pickTemplate = (template) => ({
+    template_id: template.template_id,
+    version: template.version,
+    block_number: template.block_number,
+    previous_hash: template.previous_hash,
+    difficulty: template.difficulty,
+});
+
+export const createMiningSession = ({ template, displayName, createdAt, merkleRoot, records }) => ({
+    session_id: crypto.randomUUID(),
+    display_name: displayName,
+    creator_id: template.creator_id,
+    public_key_pem: template.public_key_pem,
+    template: pickTemplate(template),
+    created_at: createdAt.toISOString(),
+    merkle_root: merkleRoot,
+    records,
+    next_nonce: 1,
+    attempts: 0,
+    mining_elapsed_ms: 0,
+    solution: null,
+});
+
+// Riparte dal primo nonce con un nuovo created_at, sugli stessi record cifrati
+export const resetMiningProgress = (session) => ({
+    ...session,
+    created_at: new Date().toISOString(),
+    next_nonce: 1,
+    attempts: 0,
+    mining_elapsed_ms: 0,
+    solution: null,
+});
+
+// Adatta la sessione a un nuovo template (il precedente scade dopo BLOCK_TEMPLATE_TTL_MS). Se l'header da minare
+// non cambia si conservano nonce provati ed eventuale soluzione; se la punta della catena o la difficoltà sono
+// cambiate il mining riparte da capo (resetMiningProgress).
+export const applyTemplate = (session, template) => {
+    const sameHeader = session.template.previous_hash === template.previous_hash
+        && session.template.block_number === template.block_number
+        && Number(session.template.difficulty) === Number(template.difficulty)
+        && Number(session.template.version) === Number(template.version);
+    const updated = { ...session, template: pickTemplate(template) };
+    return sameHeader
+        ? { session: updated, retemplated: false }
+        : { session: resetMiningProgress(updated), retemplated: true };
+};
+
+// Header da minare (vedi buildHashInput)
+export const getSessionHeader = (session) => ({
+    version: session.template.version,
+    block_number: session.template.block_number,
+    previous_hash: session.template.previous_hash,
+    merkle_root: session.merkle_root,
+    created_at: session.created_at,
+    creator_id: session.creator_id,
+    difficulty: session.template.difficulty,
+});
+
+export default {
+    getMiningSession, saveMiningSession, deleteMiningSession,
+    createMiningSession, resetMiningProgress, applyTemplate, getSessionHeader,
+};
@@ -0,0 +1,72 @@
+// Web Worker del mining Proof-of-Work (vedi mineBlock in cryptoUtils.js).
+// Riceve l'header senza nonce (parti prima e dopo il nonce) e prova gli intervalli di nonce assegnati dal pool.
+import { hashMeetsDifficulty } from './cryptoUtils';
+
+const BATCH_SIZE = 256; // Digest SHA-256 richiesti insieme a crypto.subtle
+const PROGRESS_INTERVAL_MS = 100;
+
+const encoder = new TextEncoder();
+let job = null;
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Equivale a hash < 2^(256 - bits) senza convertire ogni hash in esadecimale
+const hasLeadingZeroBits = (bytes, bits) => {
+    const fullBytes = bits >> 3;
+    for (let i = 0; i < fullBytes; i++) {
+        if (bytes[i] !== 0) return false;
+    }
+    const remainingBits = bits & 7;
+    return remainingBits === 0 || (bytes[fullBytes] >> (8 - remainingBits)) === 0;
+};
+
+const buildInput = (nonce) => {
+    const nonceBytes = encoder.encode(nonce.toString());
+    const input = new Uint8Array(job.head.length + nonceBytes.length + job.tail.length);
+    input.set(job.head, 0);
+    input.set(nonceBytes, job.head.length);
+    input.set(job.tail, job.head.length + nonceBytes.length);
+    return input;
+};
+
+const mineRange = async (start, end) => {
+    let pendingAttempts = 0;
+    let lastProgressAt = Date.now();
+
+    for (let batchStart = start; batchStart < end; batchStart += BATCH_SIZE) {
+        const batchEnd = Math.min(batchStart + BATCH_SIZE, end);
+        const nonces = [];
+        for (let nonce = batchStart; nonce < batchEnd; nonce++) nonces.push(nonce);
+
+        const digests = await Promise.all(nonces.map(nonce => crypto.subtle.digest('SHA-256', buildInput(nonce))));
+        pendingAttempts += nonces.length;
+
+        for (let i = 0; i < digests.length; i++) {
+            const bytes = new Uint8Array(digests[i]);
+            if (!hasLeadingZeroBits(bytes, job.difficultyBits)) continue;
+            const hash = toHex(bytes);
+            if (hashMeetsDifficulty(hash, job.difficultyBits)) {
+                self.postMessage({ type: 'progress', attempts: pendingAttempts - (digests.length - i - 1) });
+                self.postMessage({ type: 'found', nonce: nonces[i], hash });
+                return;
+            }
+        }
+
+        if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+            self.postMessage({ type: 'progress', attempts: pendingAttempts });
+            pendingAttempts = 0;
+            lastProgressAt = Date.now();
+        }
+    }
+
+    self.postMessage({ type: 'progress', attempts: pendingAttempts });
+    self.postMessage({ type: 'range_done' });
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'job') {
+        job = { head: encoder.encode(data.head), tail: encoder.encode(data.tail), difficultyBits: data.difficultyBits };
+    } else if (data.type === 'range') {
+        mineRange(data.start, data.end).catch(error => self.postMessage({ type: 'error', message: error.message }));
+    }
+};